@@ -0,0 +1,551 @@
+const fs = require("fs");
+const path = require("path");
+const { getAssociatedTokenAddressSync } = require("@solana/spl-token");
+const {
+  connection,
+  getWithdrawAuthority,
+  PublicKey,
+} = require("./utils/solana");
+const { isNativeSol } = require("./utils/helpers");
+const {
+  dataPath,
+  jsonReplacer,
+  readState,
+  writeJsonAtomic,
+} = require("./utils/store");
+const {
+  getTokenHolders,
+  withdrawFees,
+  estimateWithdrawableFees,
+} = require("./services/token");
+const {
+  distributeBalance,
+  swapFees,
+  planDistribution,
+} = require("./services/distribution");
+const { getSwapQuotes } = require("./services/swap");
+const { assessSwap } = require("./services/swapGuard");
+const { getTokenProgram } = require("./services/recipientAccounts");
+const { buildSnapshot } = require("./services/snapshot");
+const { createPlan, disableSending, writePlan } = require("./services/plan");
+const { publishClaims } = require("./services/claims");
+const { reconcileRun } = require("./services/reconcile");
+const { loadConfig } = require("./config/load");
+const {
+  listRunIds,
+  findIncompleteRun,
+  getCarryOver,
+  startRun,
+  finishRun,
+  loadRun,
+  saveRun,
+  saveHolderSnapshot,
+  getStep,
+} = require("./services/journal");
+const {
+  WITHDRAW_AUTHORITY_PRIVATE_KEY,
+  MINT_ADDRESS,
+  DISTRIBUTION_MODE,
+} = require("./config/constants");
+
+// Pipeline stages an operator can run by hand, each with --json and
+// --dry-run:
+//
+//   holders [--out <file>] [--record]        snapshot eligible holders
+//   harvest|withdraw [--run <id>]            harvest and withdraw fees
+//   swap --to <mint> --amount <DRT units>    swap DRT held by the authority
+//   swap --run <id>                          finish an interrupted swap
+//   distribute --mint <mint> --amount <n>    pay holders from a held balance
+//   status                                   runs, pauses and the daemon
+//
+// A command is { name, needsAuthority, sends, run(options, authority),
+// summarize(result) }. `run` resolves to a result printed as JSON with
+// --json, or as `summarize`'s line otherwise. Commands that `sends` refuse
+// to run next to a live daemon unless --dry-run, which disables sending.
+
+const DAEMON_PID_FILE = dataPath("daemon.pid");
+
+/**
+ * Records the daemon's pid so manual commands can tell it is running.
+ */
+function registerDaemon() {
+  fs.mkdirSync(path.dirname(DAEMON_PID_FILE), { recursive: true });
+  fs.writeFileSync(DAEMON_PID_FILE, String(process.pid));
+  process.on("exit", () => fs.rmSync(DAEMON_PID_FILE, { force: true }));
+  // A signal ends the process without "exit" unless it is handled, so exit
+  // with the code the default handler would have given
+  for (const [signal, code] of [
+    ["SIGINT", 130],
+    ["SIGTERM", 143],
+  ]) {
+    process.on(signal, () => process.exit(code));
+  }
+}
+
+function daemonPid() {
+  if (!fs.existsSync(DAEMON_PID_FILE)) return null;
+  const pid = Number(fs.readFileSync(DAEMON_PID_FILE, "utf-8"));
+  try {
+    process.kill(pid, 0);
+    return pid;
+  } catch (error) {
+    // A daemon that crashed leaves its pid file behind
+    return error.code === "EPERM" ? pid : null;
+  }
+}
+
+/**
+ * Loads the withdraw authority, exiting when its key is missing or invalid.
+ * The rest of the config was checked when it loaded.
+ */
+function loadWithdrawAuthority() {
+  // The key is optional in the config so read-only commands run without it
+  if (!WITHDRAW_AUTHORITY_PRIVATE_KEY) {
+    const { profile, file } = loadConfig();
+    console.error(
+      `WITHDRAW_AUTHORITY_PRIVATE_KEY is not set (profile "${profile}" of ${file}): set it there, in .env, or as DRT_WITHDRAW_AUTHORITY_PRIVATE_KEY`
+    );
+    process.exit(1);
+  }
+  let withdrawAuthority;
+  try {
+    withdrawAuthority = getWithdrawAuthority(WITHDRAW_AUTHORITY_PRIVATE_KEY);
+    console.error("Withdraw authority initialized successfully");
+  } catch (error) {
+    console.error(
+      "Failed to initialize withdraw authority: WITHDRAW_AUTHORITY_PRIVATE_KEY must be a base58 secret key:",
+      error.message
+    );
+    process.exit(1);
+  }
+  return withdrawAuthority;
+}
+
+function requireMint(value, option) {
+  if (!value) throw new Error(`--${option} <mint> is required`);
+  try {
+    return new PublicKey(value).toBase58();
+  } catch (error) {
+    throw new Error(`--${option} "${value}" is not a mint address`);
+  }
+}
+
+function requireAmount(value) {
+  if (!/^\d+$/.test(value || "") || BigInt(value) === 0n) {
+    throw new Error("--amount <base units> must be a positive integer");
+  }
+  return BigInt(value);
+}
+
+function requireRun(runId) {
+  const run = loadRun(runId);
+  if (!run) throw new Error(`Run ${runId} not found`);
+  if (run.status !== "in_progress") {
+    throw new Error(`Run ${runId} is already ${run.status}`);
+  }
+  return run;
+}
+
+// Read only: an account that does not exist yet holds nothing
+async function authorityBalance(withdrawAuthority, mint) {
+  if (isNativeSol(mint)) {
+    return BigInt(await connection.getBalance(withdrawAuthority.publicKey));
+  }
+  const ata = getAssociatedTokenAddressSync(
+    new PublicKey(mint),
+    withdrawAuthority.publicKey,
+    true,
+    await getTokenProgram(mint)
+  );
+  if (!(await connection.getAccountInfo(ata))) return 0n;
+  const { value } = await connection.getTokenAccountBalance(ata);
+  return BigInt(value.amount);
+}
+
+/**
+ * Finishes a run that pays holders from the authority's balance: pays what
+ * is left of its leg, publishes claims in claim mode, carries the previous
+ * carry-over forward and reconciles. Resumed by the daemon like any run.
+ */
+async function completeBalanceRun(withdrawAuthority, run, snapshot) {
+  const { mint, amount } = run.source;
+  const carryOver = await distributeBalance(
+    withdrawAuthority,
+    snapshot,
+    mint,
+    BigInt(amount),
+    run
+  );
+  if (DISTRIBUTION_MODE === "claim") {
+    await publishClaims(withdrawAuthority, run);
+  }
+  // No DRT went into the run, so the previous run's carry-over passes on
+  finishRun(run, "completed", BigInt(run.carriedIn) + carryOver);
+  try {
+    await reconcileRun(run);
+  } catch (error) {
+    console.error(`Reconciliation of run ${run.id} failed:`, error);
+  }
+  return run;
+}
+
+/**
+ * Finishes a run that swaps DRT the authority holds. The output stays in
+ * the authority's account and the previous carry-over passes on.
+ */
+async function completeSwapRun(withdrawAuthority, run) {
+  const { mint, amount } = run.source;
+  const received = await swapFees(withdrawAuthority, mint, BigInt(amount), run);
+  finishRun(run, "completed", BigInt(run.carriedIn));
+  return received;
+}
+
+/**
+ * Finishes a run started by an operator command, however far it got.
+ */
+async function completeCommandRun(withdrawAuthority, run, snapshot) {
+  if (run.source.command === "swap") {
+    return completeSwapRun(withdrawAuthority, run);
+  }
+  return completeBalanceRun(withdrawAuthority, run, snapshot);
+}
+
+// Only the newest incomplete run is resumed, so one at a time
+function requireNoIncompleteRun() {
+  const incomplete = findIncompleteRun();
+  if (incomplete) {
+    throw new Error(
+      `Run ${incomplete.id} is still in progress; finish it first`
+    );
+  }
+}
+
+const holders = {
+  name: "holders",
+  needsAuthority: true,
+  async run(options, withdrawAuthority) {
+    const tokenHolders = await getTokenHolders();
+    // Read only: the balances join the TWAB history only with --record
+    const snapshot = await buildSnapshot(
+      tokenHolders,
+      withdrawAuthority,
+      options.record && !options["dry-run"]
+    );
+    let file = null;
+    if (options.out) {
+      file = path.resolve(options.out);
+      writeJsonAtomic(file, snapshot);
+    }
+    return { file, ...snapshot };
+  },
+  summarize({ holders: eligible, excluded, eligibleSupply, file }) {
+    return `${eligible.length} eligible holders (supply ${eligibleSupply}), ${
+      excluded.length
+    } excluded${file ? `; snapshot written to ${file}` : ""}`;
+  },
+};
+
+const harvest = {
+  name: "harvest",
+  aliases: ["withdraw"],
+  needsAuthority: true,
+  sends: true,
+  async run(options, withdrawAuthority) {
+    const run = options.run ? requireRun(options.run) : null;
+    if (options["dry-run"]) {
+      const withdrawable = await estimateWithdrawableFees(
+        await getTokenHolders()
+      );
+      return { dryRun: true, run: run?.id, withdrawable };
+    }
+    if (!run) {
+      console.error(
+        "Withdrawing outside any run: the DRT stays in the authority's account until swapped or distributed by hand"
+      );
+    }
+    const withdrawn = await withdrawFees(withdrawAuthority, run);
+    return {
+      run: run?.id,
+      withdrawn,
+      signature: getStep(run, "withdraw")?.signature,
+    };
+  },
+  summarize({ dryRun, run, withdrawable, withdrawn }) {
+    const where = run ? ` in run ${run}` : "";
+    return dryRun
+      ? `${withdrawable} DRT could be withdrawn${where}`
+      : `Withdrew ${withdrawn} DRT${where}`;
+  },
+};
+
+const swap = {
+  name: "swap",
+  needsAuthority: true,
+  sends: true,
+  async run(options, withdrawAuthority) {
+    if (options.run) {
+      const run = requireRun(options.run);
+      if (run.source?.command !== "swap") {
+        throw new Error(`Run ${run.id} was not started by the swap command`);
+      }
+      if (options["dry-run"]) {
+        return { dryRun: true, run: run.id, resume: run.source };
+      }
+      const received = await completeSwapRun(withdrawAuthority, run);
+      return {
+        run: run.id,
+        outputMint: run.source.mint,
+        amountIn: BigInt(run.source.amount),
+        received,
+      };
+    }
+    const outputMint = requireMint(options.to, "to");
+    const amountIn = requireAmount(options.amount);
+    if (options["dry-run"]) {
+      const quotes = await getSwapQuotes(
+        MINT_ADDRESS.toBase58(),
+        outputMint,
+        amountIn
+      );
+      const guard = await assessSwap(
+        MINT_ADDRESS.toBase58(),
+        outputMint,
+        amountIn,
+        quotes[0]
+      );
+      return {
+        dryRun: true,
+        outputMint,
+        amountIn,
+        quotes: quotes.map(({ raw, ...quote }) => quote),
+        guard,
+      };
+    }
+    // Journaled as a run of its own so a crash mid-swap can be resolved
+    requireNoIncompleteRun();
+    const run = startRun();
+    run.source = {
+      command: "swap",
+      mint: outputMint,
+      amount: amountIn.toString(),
+    };
+    saveRun(run);
+    console.error(`Starting run ${run.id} swapping ${amountIn} DRT`);
+    const received = await completeSwapRun(withdrawAuthority, run);
+    return { run: run.id, outputMint, amountIn, received };
+  },
+  summarize({
+    dryRun,
+    run,
+    resume,
+    outputMint,
+    amountIn,
+    quotes,
+    guard,
+    received,
+  }) {
+    if (dryRun && resume) {
+      return `Run ${run} would resume swapping ${resume.amount} DRT to ${resume.mint}`;
+    }
+    return dryRun
+      ? `${amountIn} DRT would swap to ${quotes[0].outAmount} of ${outputMint} via ${quotes[0].router} in ${guard.chunks} chunk(s)`
+      : `Run ${run} swapped ${amountIn} DRT to ${received} of ${outputMint}`;
+  },
+};
+
+const distribute = {
+  name: "distribute",
+  needsAuthority: true,
+  sends: true,
+  async run(options, withdrawAuthority) {
+    const mint = requireMint(options.mint, "mint");
+    const amount = requireAmount(options.amount);
+    const balance = await authorityBalance(withdrawAuthority, mint);
+    if (balance < amount) {
+      throw new Error(
+        `The authority holds ${balance} of ${mint}, not ${amount}`
+      );
+    }
+
+    const tokenHolders = await getTokenHolders();
+    if (options["dry-run"]) {
+      const plan = createPlan({
+        mode: "plan",
+        outputMint: mint,
+        fromBalance: true,
+      });
+      const snapshot = await buildSnapshot(
+        tokenHolders,
+        withdrawAuthority,
+        false
+      );
+      await planDistribution(withdrawAuthority, snapshot, amount, plan);
+      const { jsonPath, csvPath } = writePlan(plan);
+      return {
+        dryRun: true,
+        mint,
+        amount,
+        plan: jsonPath,
+        csv: csvPath,
+        totals: plan.totals,
+      };
+    }
+
+    requireNoIncompleteRun();
+    const run = startRun();
+    run.source = { command: "distribute", mint, amount: amount.toString() };
+    saveRun(run);
+    console.error(`Starting run ${run.id} paying ${amount} of ${mint}`);
+    const snapshot = await buildSnapshot(tokenHolders, withdrawAuthority);
+    saveHolderSnapshot(run, snapshot);
+    await completeBalanceRun(withdrawAuthority, run, snapshot);
+    return { run: run.id, mint, amount, carryOver: run.carryOver };
+  },
+  summarize({ dryRun, run, mint, amount, plan, totals }) {
+    return dryRun
+      ? `Would distribute ${totals.distributed} of ${amount} ${mint}; plan written to ${plan}`
+      : `Run ${run} distributed ${amount} of ${mint}`;
+  },
+};
+
+function summarizeRun(run) {
+  if (!run) return null;
+  const batches = {};
+  for (const batch of run.batches) {
+    batches[batch.status] = (batches[batch.status] || 0) + 1;
+  }
+  return {
+    id: run.id,
+    status: run.status,
+    source: run.source,
+    startedAt: run.startedAt,
+    updatedAt: run.updatedAt,
+    attempts: run.attempts,
+    steps: Object.fromEntries(
+      Object.entries(run.steps).map(([name, step]) => [
+        name,
+        step.status || "started",
+      ])
+    ),
+    legs: (run.legs || []).map(({ id, mint, status, amountIn, amountOut }) => ({
+      id,
+      mint,
+      status,
+      amountIn,
+      amountOut,
+    })),
+    batches,
+    carryOver: run.carryOver,
+  };
+}
+
+const status = {
+  name: "status",
+  async run() {
+    const runIds = listRunIds();
+    const latest = runIds.length ? loadRun(runIds[runIds.length - 1]) : null;
+    const now = Date.now();
+    const swapPauses = Object.fromEntries(
+      Object.entries(readState("swapPauses", {})).filter(
+        ([, pause]) => Date.parse(pause.until) > now
+      )
+    );
+    return {
+      daemonPid: daemonPid(),
+      incompleteRun: summarizeRun(findIncompleteRun()),
+      latestRun: summarizeRun(latest),
+      carryOver: getCarryOver(),
+      swapPauses,
+      drtPrice: readState("drtPrice"),
+    };
+  },
+  summarize({
+    daemonPid: pid,
+    incompleteRun,
+    latestRun,
+    carryOver,
+    swapPauses,
+  }) {
+    const lines = [
+      pid ? `Daemon running (pid ${pid})` : "Daemon not running",
+      incompleteRun
+        ? `Run ${incompleteRun.id} in progress (attempt ${
+            incompleteRun.attempts
+          }): ${Object.entries(incompleteRun.steps)
+            .map(([name, state]) => `${name}=${state}`)
+            .join(" ")}`
+        : "No run in progress",
+      latestRun
+        ? `Latest run ${latestRun.id}: ${latestRun.status}`
+        : "No runs yet",
+      `Carry-over: ${carryOver} DRT`,
+    ];
+    for (const [mint, pause] of Object.entries(swapPauses)) {
+      lines.push(
+        `Swaps to ${mint} paused until ${pause.until}: ${pause.reason}`
+      );
+    }
+    return lines.join("\n");
+  },
+};
+
+const COMMANDS = [holders, harvest, swap, distribute, status];
+
+function getCommand(name) {
+  const command = COMMANDS.find(
+    (c) => c.name === name || (c.aliases || []).includes(name)
+  );
+  if (!command) {
+    throw new Error(
+      `Unknown command "${name}" (expected one of ${[
+        ...COMMANDS.map((c) => c.name),
+        "daemon",
+        "config",
+      ].join(", ")})`
+    );
+  }
+  return command;
+}
+
+/**
+ * Runs one pipeline stage by hand. Progress always goes to stderr, so with
+ * --json the result is the only thing on stdout; --dry-run sends nothing.
+ */
+async function runCommand(name, options) {
+  try {
+    const command = getCommand(name);
+    if (options["dry-run"]) {
+      disableSending();
+    } else if (command.sends && daemonPid()) {
+      throw new Error(
+        `The daemon is running (pid ${daemonPid()}); stop it before running ${
+          command.name
+        }`
+      );
+    }
+    const withdrawAuthority = command.needsAuthority
+      ? loadWithdrawAuthority()
+      : null;
+    const result = await command.run(options, withdrawAuthority);
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify(result, jsonReplacer, 2)}\n`);
+    } else {
+      console.log(command.summarize(result));
+    }
+  } catch (error) {
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify({ error: error.message })}\n`);
+    } else {
+      console.error(`${name} failed:`, error.message);
+    }
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  COMMANDS,
+  runCommand,
+  registerDaemon,
+  loadWithdrawAuthority,
+  completeCommandRun,
+};
@@ -0,0 +1,226 @@
+// Settings every profile starts from. Profiles in drt.config.json and
+// DRT_<SETTING> environment variables override them (see load.js); the
+// network specific ones (RPC_URL, MINT_ADDRESS, TREASURY_WALLET) have no
+// default and the authority's key only ever comes from the environment.
+module.exports = {
+  MINT_DECIMALS: 9,
+  DEV_WALLET: "4BYJtpPXD7mxrzSBi7rkeHehBKW2TzgnAD39vEJddNpt",
+  OUTPUT_MINTS: [
+    "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v", // USDC
+    "3NZ9JMVBmGAqocybic2c7LQCJScmgsAZ6vQqTDzcqmJh", //wBTC
+    "7vfCXTUXx5WJV5JADk17DUJ4ksgau7utNKj4b963voxs", // wETH
+    "So11111111111111111111111111111111111111112", // SOL
+  ],
+  // How each cycle picks its reward asset from OUTPUT_MINTS. `name` is one of
+  // round-robin, weighted-random, treasury-target or cheapest-route.
+  REWARD_ASSET_STRATEGY: {
+    name: "round-robin",
+    // weighted-random: relative weight per mint
+    weights: {
+      EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: 1,
+      "3NZ9JMVBmGAqocybic2c7LQCJScmgsAZ6vQqTDzcqmJh": 1,
+      "7vfCXTUXx5WJV5JADk17DUJ4ksgau7utNKj4b963voxs": 1,
+      So11111111111111111111111111111111111111112: 1,
+    },
+    // treasury-target: desired share of the treasury's USD value, in bps
+    treasuryTargets: {
+      EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: 2500,
+      "3NZ9JMVBmGAqocybic2c7LQCJScmgsAZ6vQqTDzcqmJh": 2500,
+      "7vfCXTUXx5WJV5JADk17DUJ4ksgau7utNKj4b963voxs": 2500,
+      So11111111111111111111111111111111111111112: 2500,
+    },
+  },
+  // When enabled, every cycle splits the withdrawn DRT across these mints by
+  // weight (bps, summing to 10000) instead of using REWARD_ASSET_STRATEGY.
+  BASKET: {
+    enabled: false,
+    weights: {
+      EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: 4000, // USDC
+      So11111111111111111111111111111111111111112: 3000, // SOL
+      "3NZ9JMVBmGAqocybic2c7LQCJScmgsAZ6vQqTDzcqmJh": 3000, // wBTC
+    },
+  },
+  // How each swap's output is split, in bps of the amount received. The holder
+  // pool and every recipient must add up to exactly 10000, and every
+  // recipient is sent its share. The dev share is paid out too: it no longer
+  // stays behind in the authority's account.
+  FEE_SPLIT: {
+    holderPoolBps: 8000,
+    recipients: [
+      // "$NAME" stands for the value of the NAME setting
+      { name: "treasury", wallet: "$TREASURY_WALLET", bps: 1700 },
+      { name: "dev", wallet: "$DEV_WALLET", bps: 300 },
+    ],
+  },
+  // Shared by harvest, withdraw, swap and payout transactions. Compute limits
+  // are simulated usage plus a margin; prices are a percentile of recent fees
+  // on the accounts a transaction writes, raised on every rebroadcast.
+  FEE_POLICY: {
+    percentile: 75,
+    minMicroLamports: 10_000,
+    maxMicroLamports: 2_000_000,
+    escalationPct: 50, // Added per rebroadcast
+    computeMarginPct: 20,
+    defaultComputeUnits: 200_000, // When simulation reports nothing
+    maxFeeLamports: 5_000_000, // Priority fee cap per transaction (0.005 SOL)
+    runBudgetLamports: 100_000_000, // Priority fees per run (0.1 SOL)
+  },
+  // Missing holder ATAs are created inside the payout batch. `policy` decides
+  // whose rent the authority pays: "always", "never", or "share-covers-rent"
+  // for shares worth at least `minShareToRentRatio` times the rent
+  ATA_RENT: {
+    policy: "share-covers-rent",
+    minShareToRentRatio: 1,
+  },
+  // How recipients that are not plain wallets are paid, per owner class
+  // ("off-curve" PDAs such as multisig vaults, and "program-owned" accounts)
+  // and per reward kind. Token rewards: "ata" (an ATA created with an
+  // off-curve owner allowed), "redirect" or "owed". SOL rewards:
+  // "wrapped-sol" (wSOL in their token account), "redirect" or "owed".
+  // "redirect" pays the address registered for the owner and holds the share
+  // in the owed ledger until there is one. Turning on
+  // EXCLUSION_RULES.excludeOffCurveOwners skips off-curve owners instead.
+  OWNER_POLICIES: {
+    "off-curve": { token: "ata", sol: "wrapped-sol" },
+    "program-owned": { token: "ata", sol: "wrapped-sol" },
+    // Redirects for owners that cannot sign a registration, owner -> wallet.
+    // A signed registration of the owner takes precedence.
+    redirects: {},
+  },
+  // Payout batches are v0 transactions that load repeat recipients through
+  // the authority's address lookup tables
+  LOOKUP_TABLES: {
+    enabled: true,
+    // Recipients join a table once paid in this many earlier cycles
+    minPreviousPayouts: 1,
+  },
+  SLIPPAGE_BPS: 2000, // 20% slippage
+  // Every swap is quoted on each of `routers`; the one quoting the highest
+  // output after its pool and platform fees builds the swap, and the next
+  // best takes over when it fails. Base URLs can point at stand-in servers.
+  SWAP_ROUTERS: {
+    routers: ["jupiter", "raydium"],
+    jupiter: { baseUrl: "https://api.jup.ag/swap/v1" },
+    raydium: { baseUrl: "https://transaction-v1.raydium.io" },
+    retries: 3, // Per request, before falling back to the next router
+    computeUnitsPerHop: 150_000, // Estimated to rank quotes by their fees
+    retryDelayMs: 2000,
+    timeoutMs: 10000,
+  },
+  // Fee swaps whose quote moves the price more than `maxPriceImpactPct`, or
+  // returns that much less than the reference USD prices imply, are split
+  // into equal chunks swapped `chunkIntervalMs` apart (TWAP)
+  SWAP_GUARD: {
+    enabled: true,
+    maxPriceImpactPct: 2,
+    maxChunks: 10,
+    chunkIntervalMs: 60 * 1000,
+  },
+  // Every landed swap is read back from its transaction and compared with
+  // its quote, and its block searched for a sandwich. Coming in more than
+  // `shortfallToleranceBps` under the quoted output, or under the slippage
+  // threshold, alerts and pauses swaps into that mint for `pauseMs`.
+  SWAP_VERIFICATION: {
+    enabled: true,
+    shortfallToleranceBps: 300,
+    checkSandwich: true,
+    pauseMs: 6 * 60 * 60 * 1000, // 6 hours
+  },
+  // DRT's USD price is the liquidity-weighted median of what `sources` see,
+  // ignoring pools under `minLiquidityUsd` and prices more than
+  // `maxDeviationPct` off the median. With fewer than `minSources` sources
+  // agreeing, the last price stands in for up to `maxAgeMs`; after that the
+  // price is unavailable and cycles are held until it is back.
+  PRICE_ORACLE: {
+    sources: ["dexscreener", "jupiter", "pool-reserves"],
+    dexscreener: { baseUrl: "https://api.dexscreener.com/latest/dex/tokens" },
+    // Jupiter reports no liquidity, so its price weighs `liquidityUsd`
+    jupiter: { baseUrl: "https://api.jup.ag/price/v2", liquidityUsd: 10_000 },
+    // Pools read on-chain, e.g. { name: "Raydium DRT/SOL", baseVault: "<DRT
+    // vault>", quoteVault: "<SOL vault>", quoteMint: "So111...112" }
+    pools: [],
+    minLiquidityUsd: 1_000,
+    minSources: 2,
+    maxDeviationPct: 10,
+    cacheMs: 60 * 1000,
+    maxAgeMs: 15 * 60 * 1000,
+    timeoutMs: 10000,
+  },
+  TOTAL_SUPPLY: 1_000_000_000n * 10n ** BigInt(9),
+  // A cycle distributes once the fees it withdrew are worth this much, and
+  // only holders whose balance is worth more than MINIMUM_HOLDER_USD earn
+  MINIMUM_RUN_USD: 50,
+  MINIMUM_HOLDER_USD: 15,
+  // Token accounts harvested per transaction
+  HARVEST_BATCH_SIZE: 25,
+  // Smallest share worth sending, in the output mint's base units
+  MINIMUM_PAYOUTS: {
+    default: 1n,
+  },
+  // Holders that cannot be paid this cycle (balance under MINIMUM_HOLDER_USD,
+  // share under MINIMUM_PAYOUTS, an account that cannot receive, a failed
+  // transfer) are owed their share per mint. It is paid along with a later
+  // share once the total reaches `minimumPayouts` and the holder is payable.
+  OWED_BALANCES: {
+    enabled: true,
+    minimumPayouts: {
+      EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: 100_000n, // 0.1 USDC
+      "3NZ9JMVBmGAqocybic2c7LQCJScmgsAZ6vQqTDzcqmJh": 100n, // 0.000001 wBTC
+      "7vfCXTUXx5WJV5JADk17DUJ4ksgau7utNKj4b963voxs": 3_000n, // 0.00003 wETH
+      So11111111111111111111111111111111111111112: 1_000_000n, // 0.001 SOL
+      default: 1n,
+    },
+  },
+  DISTRIBUTION_INTERVAL: 300 * 1000, // 5 minutes
+  // "push" sends every holder its share each cycle. "claim" only credits it:
+  // shares accumulate per holder, every cycle publishes the Merkle root of
+  // the running totals in a memo from the authority, and proofs are served
+  // over HTTP. Claimable tokens stay in the authority's accounts. Proven
+  // amounts are lifetime totals, so a claim pays the difference to what the
+  // owner was already paid.
+  DISTRIBUTION_MODE: "push",
+  CLAIMS: {
+    host: "127.0.0.1",
+    port: 8790,
+    publishRoot: true,
+  },
+  // Shares use each account's time-weighted average balance over `windowMs`,
+  // from balance samples taken every `intervalMs` and kept for `retentionMs`
+  TWAB: {
+    enabled: true,
+    windowMs: 24 * 60 * 60 * 1000, // 24 hours
+    intervalMs: 15 * 60 * 1000, // 15 minutes
+    retentionMs: 7 * 24 * 60 * 60 * 1000, // 7 days
+  },
+  // Signed holder registrations (payout redirects and reward preferences)
+  REGISTRATIONS: {
+    maxLifetimeMs: 7 * 24 * 60 * 60 * 1000, // Furthest accepted expiry
+  },
+  // Balances matched here earn nothing and do not count towards the supply
+  // shares are measured against. TREASURY_WALLET, the withdraw authority and
+  // every FEE_SPLIT recipient are always excluded.
+  EXCLUSION_RULES: {
+    excludedOwners: [
+      {
+        address: "1nc1nerator11111111111111111111111111111111",
+        reason: "burn address",
+      },
+    ],
+    // Pool vault token accounts, e.g. { address: "...", reason: "Raydium DRT/SOL vault" }
+    ammVaults: [],
+    // Owners whose account is owned by one of these programs
+    excludedOwnerPrograms: [
+      "675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8", // Raydium AMM v4
+      "CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C", // Raydium CPMM
+      "CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK", // Raydium CLMM
+      "whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc", // Orca Whirlpools
+      "LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo", // Meteora DLMM
+      "Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB", // Meteora pools
+    ],
+    // Excludes every PDA owner outright. Off by default so off-curve owners
+    // such as multisig vaults are paid under OWNER_POLICIES["off-curve"];
+    // pool vaults whose authority has no account of its own have to be
+    // listed in ammVaults.
+    excludeOffCurveOwners: false,
+  },
+};
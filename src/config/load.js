@@ -0,0 +1,111 @@
+const fs = require("fs");
+const path = require("path");
+const DEFAULTS = require("./defaults");
+const { SCHEMA, validate, merge, redact } = require("./schema");
+require("dotenv").config();
+
+// drt.config.json holds named profiles, each overriding the defaults:
+//
+//   { "profile": "mainnet", "profiles": { "devnet": { "RPC_URL": ... } } }
+//
+// DRT_PROFILE picks another profile and DRT_CONFIG another file. On top of
+// the profile, DRT_<SETTING> environment variables override single settings,
+// JSON for anything that is not a plain string (DRT_SLIPPAGE_BPS=1000,
+// DRT_SWAP_GUARD='{"enabled":false}').
+const CONFIG_FILE = path.resolve(__dirname, "../../drt.config.json");
+
+// Settings still read from their unprefixed variables, as existing .env
+// files set them
+const UNPREFIXED_ENV = [
+  "RPC_URL",
+  "MINT_ADDRESS",
+  "TREASURY_WALLET",
+  "WITHDRAW_AUTHORITY_PRIVATE_KEY",
+];
+
+function parseEnvValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return raw;
+  }
+}
+
+function envOverrides(env) {
+  const overrides = {};
+  for (const key of Object.keys(SCHEMA.fields)) {
+    const raw =
+      env[`DRT_${key}`] ?? (UNPREFIXED_ENV.includes(key) ? env[key] : "");
+    if (raw) overrides[key] = parseEnvValue(raw);
+  }
+  return overrides;
+}
+
+// Strings of the form "$NAME" stand for the NAME setting's value
+function resolveRefs(value, settings) {
+  if (typeof value === "string") {
+    const match = /^\$([A-Z_]+)$/.exec(value);
+    return match && typeof settings[match[1]] === "string"
+      ? settings[match[1]]
+      : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveRefs(item, settings));
+  }
+  if (value !== null && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        resolveRefs(item, settings),
+      ])
+    );
+  }
+  return value;
+}
+
+/**
+ * Resolves the settings for the selected profile: defaults, then the
+ * profile, then environment overrides, checked against the schema. Returns
+ * { config, profile, file }, or throws listing every invalid setting.
+ */
+function loadConfig(env = process.env) {
+  const file = env.DRT_CONFIG ? path.resolve(env.DRT_CONFIG) : CONFIG_FILE;
+  let contents;
+  try {
+    contents = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (error) {
+    throw new Error(`Cannot read config file ${file}: ${error.message}`);
+  }
+  const profiles = contents.profiles || {};
+  const profile = env.DRT_PROFILE || contents.profile;
+  if (!profiles[profile]) {
+    throw new Error(
+      `Unknown config profile "${profile}" (expected one of ${Object.keys(
+        profiles
+      ).join(", ")})`
+    );
+  }
+
+  let settings = merge(SCHEMA, DEFAULTS, profiles[profile]);
+  settings = merge(SCHEMA, settings, envOverrides(env));
+  const errors = [];
+  const config = validate(SCHEMA, resolveRefs(settings, settings), "", errors);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid config (profile "${profile}" of ${file}, with environment overrides):\n${errors
+        .map((error) => `  ${error}`)
+        .join("\n")}`
+    );
+  }
+  return { config, profile, file };
+}
+
+/**
+ * What `config print` shows: the profile, the file and every resolved
+ * setting, with secrets redacted.
+ */
+function describeConfig({ config, profile, file }) {
+  return { profile, file, settings: redact(SCHEMA, config) };
+}
+
+module.exports = { loadConfig, describeConfig };
@@ -0,0 +1,399 @@
+const { PublicKey } = require("@solana/web3.js");
+
+// A setting's schema is { kind, check } for a single value, where `check`
+// returns the parsed value or throws saying what is wrong with it, or one of
+// the composite kinds: "shape" (fixed `fields`), "array" (of `item`) and
+// "map" (keys checked against `key` if given, every value a `value`). A
+// shape may have a `check` too, run on the parsed shape once its fields are
+// valid, for rules spanning several of them. `optional` settings may be left
+// out; `redact` turns a value into what `config print` shows.
+
+function leaf(kind, check, options = {}) {
+  return { kind, check, ...options };
+}
+
+const string = (options) =>
+  leaf(
+    "string",
+    (value) => {
+      if (typeof value !== "string" || value.length === 0) {
+        throw new Error("must be a non-empty string");
+      }
+      return value;
+    },
+    options
+  );
+
+const url = (options) =>
+  leaf(
+    "url",
+    (value) => {
+      try {
+        const parsed = new URL(value);
+        if (!["http:", "https:"].includes(parsed.protocol)) throw new Error();
+      } catch (error) {
+        throw new Error(`must be an http(s) URL, got "${value}"`);
+      }
+      return value;
+    },
+    options
+  );
+
+function checkAddress(value) {
+  try {
+    return new PublicKey(value);
+  } catch (error) {
+    throw new Error(`must be a base58 address, got ${JSON.stringify(value)}`);
+  }
+}
+
+// An address kept as its base58 string
+const address = (options) =>
+  leaf("address", (value) => checkAddress(value).toBase58(), options);
+
+// An address parsed into a PublicKey
+const publicKey = (options) => leaf("publicKey", checkAddress, options);
+
+// An address that is an Ed25519 key, so its owner can sign
+const wallet = (options) =>
+  leaf(
+    "wallet",
+    (value) => {
+      const key = checkAddress(value);
+      if (!PublicKey.isOnCurve(key)) {
+        throw new Error(`must be a wallet key, got off-curve ${value}`);
+      }
+      return key.toBase58();
+    },
+    options
+  );
+
+const number = ({ min = -Infinity, max = Infinity, integer = false } = {}) =>
+  leaf(integer ? "integer" : "number", (value) => {
+    if (
+      typeof value !== "number" ||
+      !Number.isFinite(value) ||
+      (integer && !Number.isInteger(value))
+    ) {
+      throw new Error(
+        `must be ${integer ? "an integer" : "a number"}, got ${JSON.stringify(
+          value
+        )}`
+      );
+    }
+    if (value < min || value > max) {
+      throw new Error(`must be between ${min} and ${max}, got ${value}`);
+    }
+    return value;
+  });
+
+const integer = (options) => number({ ...options, integer: true });
+
+// Amounts in base units: integers, or decimal strings for the large ones
+const bigint = () =>
+  leaf("bigint", (value) => {
+    if (
+      typeof value === "bigint" ||
+      Number.isInteger(value) ||
+      (typeof value === "string" && /^\d+$/.test(value))
+    ) {
+      const parsed = BigInt(value);
+      if (parsed < 0n) throw new Error(`must not be negative, got ${value}`);
+      return parsed;
+    }
+    throw new Error(`must be a whole number, got ${JSON.stringify(value)}`);
+  });
+
+const boolean = () =>
+  leaf("boolean", (value) => {
+    if (typeof value !== "boolean") {
+      throw new Error(`must be true or false, got ${JSON.stringify(value)}`);
+    }
+    return value;
+  });
+
+const oneOf = (choices) =>
+  leaf("oneOf", (value) => {
+    if (!choices.includes(value)) {
+      throw new Error(
+        `must be one of ${choices.join(", ")}, got ${JSON.stringify(value)}`
+      );
+    }
+    return value;
+  });
+
+const shape = (fields, options) => ({ kind: "shape", fields, ...options });
+const arrayOf = (item, options) => ({ kind: "array", item, ...options });
+const mapOf = (value, options) => ({ kind: "map", value, ...options });
+const optional = (schema) => ({ ...schema, optional: true });
+
+const secret = (schema) => ({ ...schema, redact: () => "<redacted>" });
+
+// RPC URLs often carry an API key in their path or query
+const redactUrl = (value) => {
+  const parsed = new URL(value);
+  return parsed.pathname === "/" && !parsed.search
+    ? value
+    : `${parsed.origin}/<redacted>`;
+};
+
+// Recipient transfers are journaled as "<name>:<legId>" steps next to the
+// swap step, so a recipient cannot take that name.
+const RESERVED_RECIPIENT_NAMES = ["swap"];
+
+/**
+ * Checks fee recipient names are unique and not reserved, and that the
+ * holder pool and recipients add up to exactly 10000 bps.
+ */
+function checkFeeSplit({ holderPoolBps, recipients }) {
+  const names = new Set();
+  for (const { name } of recipients) {
+    if (names.has(name) || RESERVED_RECIPIENT_NAMES.includes(name)) {
+      throw new Error(`fee recipient name "${name}" is taken`);
+    }
+    names.add(name);
+  }
+  const totalBps = recipients.reduce((sum, r) => sum + r.bps, holderPoolBps);
+  if (totalBps !== 10000) {
+    throw new Error(`weights sum to ${totalBps} bps, expected 10000`);
+  }
+}
+
+// Per owner class, what token and SOL rewards to non-wallet owners do
+const ownerPolicy = () =>
+  shape({
+    token: oneOf(["ata", "redirect", "owed"]),
+    sol: oneOf(["wrapped-sol", "redirect", "owed"]),
+  });
+
+const bps = () => integer({ min: 0, max: 10000 });
+const positive = () => number({ min: 0 });
+const ms = () => integer({ min: 0 });
+
+const SCHEMA = shape({
+  RPC_URL: url({ redact: redactUrl }),
+  MINT_ADDRESS: publicKey(),
+  MINT_DECIMALS: integer({ min: 0, max: 18 }),
+  TREASURY_WALLET: publicKey(),
+  DEV_WALLET: address(),
+  WITHDRAW_AUTHORITY_PRIVATE_KEY: optional(secret(string())),
+  OUTPUT_MINTS: arrayOf(address()),
+  REWARD_ASSET_STRATEGY: shape({
+    name: oneOf([
+      "round-robin",
+      "weighted-random",
+      "treasury-target",
+      "cheapest-route",
+    ]),
+    weights: mapOf(integer({ min: 0 })),
+    treasuryTargets: mapOf(bps()),
+  }),
+  BASKET: shape({ enabled: boolean(), weights: mapOf(bps()) }),
+  FEE_SPLIT: shape(
+    {
+      holderPoolBps: bps(),
+      recipients: arrayOf(
+        shape({ name: string(), wallet: address(), bps: bps() })
+      ),
+    },
+    { check: checkFeeSplit }
+  ),
+  FEE_POLICY: shape({
+    percentile: integer({ min: 0, max: 100 }),
+    minMicroLamports: integer({ min: 0 }),
+    maxMicroLamports: integer({ min: 0 }),
+    escalationPct: positive(),
+    computeMarginPct: positive(),
+    defaultComputeUnits: integer({ min: 1, max: 1_400_000 }),
+    maxFeeLamports: integer({ min: 0 }),
+    runBudgetLamports: integer({ min: 0 }),
+  }),
+  ATA_RENT: shape({
+    policy: oneOf(["always", "never", "share-covers-rent"]),
+    minShareToRentRatio: positive(),
+  }),
+  OWNER_POLICIES: shape({
+    "off-curve": ownerPolicy(),
+    "program-owned": ownerPolicy(),
+    redirects: mapOf(wallet(), { key: address() }),
+  }),
+  LOOKUP_TABLES: shape({
+    enabled: boolean(),
+    minPreviousPayouts: integer({ min: 0 }),
+  }),
+  SLIPPAGE_BPS: bps(),
+  SWAP_ROUTERS: shape({
+    routers: arrayOf(string()),
+    jupiter: shape({ baseUrl: url() }),
+    raydium: shape({ baseUrl: url() }),
+    retries: integer({ min: 1 }),
+    computeUnitsPerHop: integer({ min: 0 }),
+    retryDelayMs: ms(),
+    timeoutMs: ms(),
+  }),
+  SWAP_GUARD: shape({
+    enabled: boolean(),
+    maxPriceImpactPct: number({ min: 0, max: 100 }),
+    maxChunks: integer({ min: 1 }),
+    chunkIntervalMs: ms(),
+  }),
+  SWAP_VERIFICATION: shape({
+    enabled: boolean(),
+    shortfallToleranceBps: bps(),
+    checkSandwich: boolean(),
+    pauseMs: ms(),
+  }),
+  PRICE_ORACLE: shape({
+    sources: arrayOf(string()),
+    dexscreener: shape({ baseUrl: url() }),
+    jupiter: shape({ baseUrl: url(), liquidityUsd: positive() }),
+    pools: arrayOf(
+      shape({
+        name: string(),
+        baseVault: address(),
+        quoteVault: address(),
+        quoteMint: address(),
+      })
+    ),
+    minLiquidityUsd: positive(),
+    minSources: integer({ min: 1 }),
+    maxDeviationPct: positive(),
+    cacheMs: ms(),
+    maxAgeMs: ms(),
+    timeoutMs: ms(),
+  }),
+  TOTAL_SUPPLY: bigint(),
+  MINIMUM_RUN_USD: positive(),
+  MINIMUM_HOLDER_USD: positive(),
+  HARVEST_BATCH_SIZE: integer({ min: 1 }),
+  MINIMUM_PAYOUTS: mapOf(bigint()),
+  OWED_BALANCES: shape({
+    enabled: boolean(),
+    minimumPayouts: mapOf(bigint()),
+  }),
+  DISTRIBUTION_INTERVAL: integer({ min: 1000 }),
+  DISTRIBUTION_MODE: oneOf(["push", "claim"]),
+  CLAIMS: shape({
+    host: string(),
+    port: integer({ min: 0, max: 65535 }),
+    publishRoot: boolean(),
+  }),
+  TWAB: shape({
+    enabled: boolean(),
+    windowMs: ms(),
+    intervalMs: integer({ min: 1000 }),
+    retentionMs: ms(),
+  }),
+  REGISTRATIONS: shape({ maxLifetimeMs: ms() }),
+  EXCLUSION_RULES: shape({
+    excludedOwners: arrayOf(shape({ address: address(), reason: string() })),
+    ammVaults: arrayOf(shape({ address: address(), reason: string() })),
+    excludedOwnerPrograms: arrayOf(address()),
+    excludeOffCurveOwners: boolean(),
+  }),
+});
+
+const join = (path, key) => (path ? `${path}.${key}` : key);
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Checks `value` against `schema`, returning it parsed (PublicKeys, BigInts).
+ * Every problem is pushed onto `errors` as "<path>: <problem>", so a bad
+ * config reports all of them at once.
+ */
+function validate(schema, value, path, errors) {
+  if (value === undefined || value === null) {
+    if (!schema.optional) errors.push(`${path}: is required`);
+    return value;
+  }
+  if (schema.kind === "shape" || schema.kind === "map") {
+    if (!isObject(value)) {
+      errors.push(`${path}: must be an object`);
+      return value;
+    }
+    const parsed = {};
+    const errorCount = errors.length;
+    if (schema.kind === "shape") {
+      for (const key of Object.keys(value)) {
+        if (!(key in schema.fields)) errors.push(`${path}.${key}: is unknown`);
+      }
+      for (const [key, field] of Object.entries(schema.fields)) {
+        parsed[key] = validate(field, value[key], join(path, key), errors);
+      }
+    } else {
+      for (const [key, item] of Object.entries(value)) {
+        if (schema.key) validate(schema.key, key, join(path, key), errors);
+        parsed[key] = validate(schema.value, item, join(path, key), errors);
+      }
+    }
+    if (schema.check && errors.length === errorCount) {
+      try {
+        schema.check(parsed);
+      } catch (error) {
+        errors.push(`${path}: ${error.message}`);
+      }
+    }
+    return parsed;
+  }
+  if (schema.kind === "array") {
+    if (!Array.isArray(value)) {
+      errors.push(`${path}: must be a list`);
+      return value;
+    }
+    return value.map((item, i) =>
+      validate(schema.item, item, `${path}[${i}]`, errors)
+    );
+  }
+  try {
+    return schema.check(value);
+  } catch (error) {
+    errors.push(`${path}: ${error.message}`);
+    return value;
+  }
+}
+
+/**
+ * Lays `override` over `base`: fixed shapes merge field by field, anything
+ * else (lists, mint maps, single values) is replaced whole, so a profile
+ * listing its own weights does not inherit another network's mints.
+ */
+function merge(schema, base, override) {
+  if (override === undefined) return base;
+  if (schema?.kind !== "shape" || !isObject(base) || !isObject(override)) {
+    return override;
+  }
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = merge(schema.fields[key], base[key], value);
+  }
+  return merged;
+}
+
+/**
+ * A parsed config as plain JSON values, with secrets redacted.
+ */
+function redact(schema, value) {
+  if (value === undefined || value === null) return value;
+  if (schema?.redact) return schema.redact(value);
+  if (schema?.kind === "shape" || schema?.kind === "map") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        redact(
+          schema.kind === "shape" ? schema.fields[key] : schema.value,
+          item
+        ),
+      ])
+    );
+  }
+  if (schema?.kind === "array") {
+    return value.map((item) => redact(schema.item, item));
+  }
+  if (value instanceof PublicKey) return value.toBase58();
+  if (typeof value === "bigint") return value.toString();
+  return value;
+}
+
+module.exports = { SCHEMA, validate, merge, redact, checkFeeSplit };
@@ -1,13 +1,51 @@
-const { getWithdrawAuthority } = require("./utils/solana");
-const { getTokenHolders, withdrawFees } = require("./services/token");
-const { distributeRewards } = require("./services/distribution");
-const { getDrtPriceInUsd } = require("./services/price");
+const fs = require("fs");
+const { parseArgs } = require("util");
+const {
+  getTokenHolders,
+  withdrawFees,
+  estimateWithdrawableFees,
+} = require("./services/token");
+const {
+  distributeRewards,
+  planDistribution,
+} = require("./services/distribution");
+const { getDrtPrice } = require("./services/price");
+const { loadConfig, describeConfig } = require("./config/load");
+const { createPlan, disableSending, writePlan } = require("./services/plan");
+const { publishClaims } = require("./services/claims");
+const { reconcileRun } = require("./services/reconcile");
+const { startClaimServer } = require("./services/claimServer");
+const { getOwedBalances } = require("./services/owedBalances");
+const { submitRegistration } = require("./services/registrations");
+const { buildSnapshot } = require("./services/snapshot");
+const {
+  runCommand,
+  registerDaemon,
+  loadWithdrawAuthority,
+  completeCommandRun,
+} = require("./commands");
+const {
+  recordBalances,
+  getBalanceHistory,
+} = require("./services/balanceHistory");
+const {
+  findIncompleteRun,
+  getCarryOver,
+  startRun,
+  resumeRun,
+  finishRun,
+  saveHolderSnapshot,
+  loadHolderSnapshot,
+  loadRun,
+} = require("./services/journal");
 
 const {
-  WITHDRAW_AUTHORITY_PRIVATE_KEY,
   DISTRIBUTION_INTERVAL,
+  DISTRIBUTION_MODE,
+  TWAB,
+  MINT_DECIMALS,
+  MINIMUM_RUN_USD,
 } = require("./config/constants");
-const MINIMUM_USD_VALUE = 50;
 
 process.on("uncaughtException", (error) => {
   console.error("Uncaught Exception:", error);
@@ -32,82 +70,400 @@ async function retryOperation(operation, maxRetries = 3, delayMs = 10000) {
   }
 }
 
-async function main() {
-  let withdrawAuthority;
+/**
+ * Prints the balance samples stored for one holder address.
+ */
+function printBalanceHistory(address) {
+  const history = getBalanceHistory(address);
+  console.log(`Balance history for ${address} (${history.length} samples):`);
+  for (const { takenAt, total, accounts } of history) {
+    console.log(
+      `  ${takenAt}  ${total}  ${Object.entries(accounts)
+        .map(([tokenAccount, amount]) => `${tokenAccount}=${amount}`)
+        .join(" ")}`
+    );
+  }
+}
+
+/**
+ * Prints what a holder is owed per mint, with the entries still open.
+ */
+function printOwedBalances(address) {
+  const balances = getOwedBalances(address);
+  if (Object.keys(balances).length === 0) {
+    console.log(`${address} is not owed anything`);
+    return;
+  }
+  console.log(`Owed balances for ${address}:`);
+  for (const [mint, { owed, minimumPayout, entries }] of Object.entries(
+    balances
+  )) {
+    console.log(`  ${mint}  ${owed} (paid out from ${minimumPayout})`);
+    for (const [key, entry] of Object.entries(entries)) {
+      console.log(
+        `    ${key}  credit=${entry.credit || 0} debit=${entry.debit || 0}${
+          entry.reason ? `  ${entry.reason}` : ""
+        }`
+      );
+    }
+  }
+}
+
+/**
+ * Prints the TWAB window and per-account balances a cycle paid out against.
+ */
+function printRunTwab(runId) {
+  const run = loadRun(runId);
+  if (!run) throw new Error(`Run ${runId} not found`);
+  const snapshot = loadHolderSnapshot(run);
+  if (!snapshot.twab) {
+    console.log(`Run ${runId} did not use TWAB balances`);
+    return;
+  }
+  const { windowStart, coverageStart, windowEnd, samples } = snapshot.twab;
+  console.log(
+    `Run ${runId}: TWAB over ${coverageStart} - ${windowEnd} (${samples} samples, window from ${windowStart})`
+  );
+  for (const holder of [...snapshot.holders, ...snapshot.excluded]) {
+    console.log(
+      `  ${holder.address} ${holder.tokenAccount} twab=${
+        holder.amount
+      } current=${holder.currentAmount}${
+        holder.rule ? ` (excluded: ${holder.reason})` : ""
+      }`
+    );
+  }
+}
+
+/**
+ * Stores a balance sample for the TWAB. Cycles read the history but do not
+ * add to it, so the samples stay TWAB.intervalMs apart.
+ */
+async function sampleBalances() {
   try {
-    withdrawAuthority = getWithdrawAuthority(WITHDRAW_AUTHORITY_PRIVATE_KEY);
-    console.log("Withdraw authority initialized successfully");
+    recordBalances(await getTokenHolders());
   } catch (error) {
-    console.error("Failed to initialize withdraw authority:", error);
-    process.exit(1);
+    console.error("Error sampling holder balances:", error);
+  }
+}
+
+/**
+ * Builds a full distribution plan from the current chain state and writes it
+ * to disk, returning where. Nothing is sent: the connection refuses to send
+ * while planning.
+ */
+async function runPlan(withdrawAuthority, options) {
+  disableSending();
+  const plan = createPlan({ mode: "plan", outputMint: options.mint });
+
+  const holders = await getTokenHolders();
+  console.error(`Found ${holders.length} holders`);
+
+  const withdrawable =
+    options.amount !== undefined
+      ? BigInt(options.amount)
+      : await estimateWithdrawableFees(holders);
+  const carriedIn = getCarryOver();
+  const totalAmount = withdrawable + carriedIn;
+  const price = await getDrtPrice();
+  plan.price = price;
+  if (price.priceUsd === null) {
+    console.error(
+      `DRT price unavailable (${price.reason}); a live run would hold the cycle`
+    );
+    const { jsonPath, csvPath } = writePlan(plan);
+    console.error(`Plan written to ${jsonPath} and ${csvPath}`);
+    return { jsonPath, csvPath };
+  }
+  const withdrawnUsdValue =
+    (Number(withdrawable) / 10 ** MINT_DECIMALS) * price.priceUsd;
+  plan.withdraw = {
+    withdrawable: withdrawable.toString(),
+    carriedIn: carriedIn.toString(),
+    total: totalAmount.toString(),
+    usdValue: withdrawnUsdValue,
+    meetsThreshold: withdrawnUsdValue >= MINIMUM_RUN_USD,
+  };
+  if (!plan.withdraw.meetsThreshold) {
+    console.error(
+      `Withdrawable amount ($${withdrawnUsdValue.toFixed(
+        2
+      )}) is below $${MINIMUM_RUN_USD}; a live run would accumulate instead`
+    );
+  }
+
+  if (totalAmount > 0n) {
+    const snapshot = await buildSnapshot(holders, withdrawAuthority);
+    await planDistribution(withdrawAuthority, snapshot, totalAmount, plan);
+  }
+
+  const { jsonPath, csvPath } = writePlan(plan);
+  console.error(`Plan written to ${jsonPath} and ${csvPath}`);
+  return { jsonPath, csvPath };
+}
+
+// Usage: index.js [command] [options]. Commands run one pipeline stage and
+// exit (see commands.js); without one, or with "daemon", distributions run
+// on a schedule. --plan and the inspection flags (--history, --owed, ...)
+// predate the commands and still work. Progress is logged to stderr, so
+// stdout carries only results.
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      json: { type: "boolean", default: false },
+      "dry-run": { type: "boolean", default: false },
+      to: { type: "string" },
+      out: { type: "string" },
+      record: { type: "boolean", default: false },
+      run: { type: "string" },
+      plan: { type: "boolean", default: false },
+      amount: { type: "string" },
+      mint: { type: "string" },
+      register: { type: "string" },
+      history: { type: "string" },
+      twab: { type: "string" },
+      reconcile: { type: "string" },
+      owed: { type: "string" },
+      "serve-claims": { type: "boolean", default: false },
+    },
+  });
+
+  if (positionals[0] === "config") {
+    if (positionals[1] !== "print") {
+      console.error(
+        `Unknown config command "${positionals[1]}" (expected print)`
+      );
+      process.exitCode = 1;
+      return;
+    }
+    console.log(JSON.stringify(describeConfig(loadConfig()), null, 2));
+    return;
   }
 
-  let accumulatedAmount = 0n; // To carry over skipped amounts
+  const command = positionals[0] || "daemon";
+  if (command !== "daemon") {
+    await runCommand(command, options);
+    return;
+  }
+
+  if (options.history) {
+    printBalanceHistory(options.history);
+    return;
+  }
+  if (options.twab) {
+    printRunTwab(options.twab);
+    return;
+  }
+
+  if (options.owed) {
+    printOwedBalances(options.owed);
+    return;
+  }
+
+  if (options.reconcile) {
+    const { discrepancies } = await reconcileRun(options.reconcile);
+    if (discrepancies.length > 0) process.exitCode = 1;
+    return;
+  }
+
+  // Serves the published proofs without running distributions
+  if (options["serve-claims"]) {
+    try {
+      await startClaimServer();
+    } catch (error) {
+      console.error(error.message);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  // Registrations are verified against the holder's key; no authority needed
+  if (options.register) {
+    try {
+      const submission = JSON.parse(fs.readFileSync(options.register, "utf-8"));
+      submitRegistration(submission);
+    } catch (error) {
+      console.error("Registration rejected:", error.message);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  const withdrawAuthority = loadWithdrawAuthority();
+
+  // A dry-run daemon plans the next cycle instead
+  if (options.plan || options["dry-run"]) {
+    const written = await runPlan(withdrawAuthority, options);
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify(written, null, 2)}\n`);
+    }
+    return;
+  }
+
+  // Holders in claim mode depend on the server, so the daemon does not start
+  // without it
+  if (DISTRIBUTION_MODE === "claim") {
+    try {
+      await startClaimServer();
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  }
+  registerDaemon();
+
+  let running = false;
 
   async function runDistribution() {
+    // Two cycles working on the same journaled run could pay holders twice
+    if (running) {
+      console.error("Previous distribution still running, skipping this cycle");
+      return;
+    }
+    running = true;
     try {
-      // Step 1: Get token holders
-      let holders;
-      try {
-        holders = await getTokenHolders();
-        console.log(`Found ${holders.length} holders`);
-      } catch (error) {
-        console.error("Error fetching token holders:", error);
-        holders = [];
+      await runCycle();
+    } finally {
+      running = false;
+    }
+  }
+
+  async function runCycle() {
+    // Resume whatever a crashed or failed cycle left behind before starting anew
+    let run = findIncompleteRun();
+
+    // Both USD thresholds need DRT's price; without one nothing is decided.
+    // A run that prepared its legs, or one an operator command started, is
+    // finished without it.
+    let drtPriceUsd = null;
+    if (!run || !(run.legs || run.source)) {
+      const price = await getDrtPrice();
+      if (price.priceUsd === null) {
+        console.error(
+          `Holding this cycle: DRT price unavailable (${price.reason})`
+        );
+        return;
+      }
+      drtPriceUsd = price.priceUsd;
+    }
+
+    let snapshot;
+    if (run) {
+      resumeRun(run);
+      snapshot = loadHolderSnapshot(run);
+      console.error(
+        `Resuming run ${run.id} (attempt ${run.attempts}) with ${snapshot.holders.length} holders`
+      );
+    } else {
+      run = startRun();
+      console.error(`Starting run ${run.id}`);
+    }
+
+    try {
+      // Step 1: Get token holders and drop the ones excluded from rewards
+      if (!snapshot) {
+        let holders;
+        try {
+          holders = await getTokenHolders();
+          console.error(`Found ${holders.length} holders`);
+        } catch (error) {
+          console.error("Error fetching token holders:", error);
+          holders = [];
+        }
+        snapshot = await buildSnapshot(holders, withdrawAuthority);
+        saveHolderSnapshot(run, snapshot);
+      }
+
+      // Runs started by the distribute or swap command only finish their own
+      // stage: a payout from a balance already held, or a swap
+      if (run.source) {
+        await completeCommandRun(withdrawAuthority, run, snapshot);
+        return;
       }
 
       // Step 2: Withdraw fees
       let withdrawnAmount = 0n;
-      const drtPriceUsd = await getDrtPriceInUsd();
-      const drtDecimals = 9; // Adjust if different
 
       try {
-        withdrawnAmount = await withdrawFees(withdrawAuthority);
-        console.log(`Withdrawn amount: ${withdrawnAmount}`);
+        withdrawnAmount = await withdrawFees(withdrawAuthority, run);
+        console.error(`Withdrawn amount: ${withdrawnAmount}`);
       } catch (error) {
         console.error("Error withdrawing fees:", error);
       }
 
-      const withdrawnUsdValue =
-        (Number(withdrawnAmount) / 10 ** drtDecimals) * drtPriceUsd;
-      console.log(`Withdrawn amount in USD: $${withdrawnUsdValue.toFixed(2)}`);
+      // Once legs are prepared the run is committed to distributing
+      const withdrawnUsdValue = run.legs
+        ? null
+        : (Number(withdrawnAmount) / 10 ** MINT_DECIMALS) * drtPriceUsd;
+      if (withdrawnUsdValue !== null) {
+        console.error(
+          `Withdrawn amount in USD: $${withdrawnUsdValue.toFixed(2)}`
+        );
+      }
 
+      const accumulatedAmount = BigInt(run.carriedIn);
       withdrawnAmount += accumulatedAmount;
-      console.log(`Total amount including accumulated: ${withdrawnAmount}`);
+      console.error(`Total amount including accumulated: ${withdrawnAmount}`);
 
-      if (withdrawnUsdValue < MINIMUM_USD_VALUE) {
-        console.log(
+      if (withdrawnUsdValue !== null && withdrawnUsdValue < MINIMUM_RUN_USD) {
+        console.error(
           `Withdrawn amount ($${withdrawnUsdValue.toFixed(
             2
-          )}) is less than $${MINIMUM_USD_VALUE}, skipping distribution and accumulating`
+          )}) is less than $${MINIMUM_RUN_USD}, skipping distribution and accumulating`
         );
-        accumulatedAmount = withdrawnAmount;
+        finishRun(run, "accumulated", withdrawnAmount);
         return;
       }
 
-      accumulatedAmount = 0n;
       // Step 3: Distribute rewards with retries
+      let carryOver = 0n;
       if (withdrawnAmount > 0n) {
-        await retryOperation(
+        const distributed = await retryOperation(
           async () => {
-            await distributeRewards(
+            carryOver = await distributeRewards(
               withdrawAuthority,
-              holders,
-              withdrawnAmount
+              snapshot,
+              withdrawnAmount,
+              run
             );
-            console.log("Distribution completed successfully!");
+            if (DISTRIBUTION_MODE === "claim") {
+              await publishClaims(withdrawAuthority, run);
+            }
+            console.error("Distribution completed successfully!");
+            return true;
           },
           3,
           5000
         ); // Retry 3 times, 5s delay between attempts
+        if (!distributed) {
+          console.error(
+            `Run ${run.id} left incomplete, will resume next cycle`
+          );
+          return;
+        }
       } else {
-        console.log("No fees to distribute");
+        console.error("No fees to distribute");
+      }
+      finishRun(run, "completed", carryOver);
+
+      // An independent check of the finished run against the chain
+      try {
+        await reconcileRun(run);
+      } catch (error) {
+        console.error(`Reconciliation of run ${run.id} failed:`, error);
       }
     } catch (error) {
       console.error("Unexpected error in runDistribution:", error);
     }
   }
 
+  // The first sample opens the history the initial run's TWAB reads
+  if (TWAB.enabled) {
+    await sampleBalances();
+    setInterval(sampleBalances, TWAB.intervalMs);
+  }
+
   // Initial run
   try {
     await runDistribution();
@@ -124,7 +480,7 @@ async function main() {
     }
   }, DISTRIBUTION_INTERVAL);
 
-  console.log("Distribution scheduler started...");
+  console.error("Distribution scheduler started...");
 }
 
 (async () => {
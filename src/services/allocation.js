@@ -0,0 +1,132 @@
+/**
+ * Pro-rata reward allocation in integer arithmetic only. Nothing here touches
+ * the network, so the whole table can be computed, inspected and replayed
+ * before a single transfer is built.
+ */
+
+function compareRemainders(a, b) {
+  // Largest remainder first; ties go to the larger balance, then to the
+  // lexically smaller token account so the order never depends on input order.
+  if (a.remainder !== b.remainder) return a.remainder > b.remainder ? -1 : 1;
+  if (a.balance !== b.balance) return a.balance > b.balance ? -1 : 1;
+  return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+}
+
+/**
+ * Largest-remainder split of `distributable` over `entries` by balance.
+ * Mutates each entry's `share`; the shares sum to exactly `distributable`.
+ */
+function splitLargestRemainder(entries, distributable) {
+  const totalBalance = entries.reduce((sum, e) => sum + e.balance, 0n);
+  if (totalBalance === 0n) {
+    entries.forEach((e) => (e.share = 0n));
+    return;
+  }
+
+  let assigned = 0n;
+  for (const entry of entries) {
+    const scaled = distributable * entry.balance;
+    entry.share = scaled / totalBalance;
+    entry.remainder = scaled % totalBalance;
+    assigned += entry.share;
+  }
+
+  let dust = distributable - assigned;
+  const byRemainder = [...entries].sort(compareRemainders);
+  for (let i = 0; dust > 0n; i++, dust--) {
+    byRemainder[i].share += 1n;
+  }
+}
+
+/**
+ * Builds the allocation table for one payout.
+ *
+ * Holders at or below `minimumBalance` are skipped. The rest share `amount`
+ * in proportion to their balance: against `denominator` when given (the
+ * eligible part of it is what gets distributed), otherwise against their own
+ * combined balance (all of `amount` is distributed). Anyone whose share falls
+ * below `minimumPayout` is dropped and the split is redone without them.
+ *
+ * @param {Object} params
+ * @param {Array<{address: string, tokenAccount: string, amount: string|bigint}>} params.holders
+ * @param {bigint} params.amount Total available for holders, in base units
+ * @param {bigint} [params.denominator] Supply the shares are measured against
+ * @param {bigint} [params.minimumBalance] Balances at or below this are skipped
+ * @param {bigint} [params.minimumPayout] Smallest share worth sending
+ * @returns {{entries: Array<Object>, totals: Object}} One entry per input
+ *   holder, in input order, with `share`, `status` ("allocated" or
+ *   "skipped") and a `reason` for every skip.
+ */
+function allocate({
+  holders,
+  amount,
+  denominator,
+  minimumBalance = 0n,
+  minimumPayout = 1n,
+}) {
+  if (amount < 0n) throw new Error(`Cannot allocate negative amount ${amount}`);
+  if (minimumPayout < 1n) minimumPayout = 1n;
+
+  const entries = holders.map((holder) => ({
+    address: holder.address,
+    tokenAccount: holder.tokenAccount,
+    key: holder.tokenAccount || holder.address,
+    balance: BigInt(holder.amount),
+    share: 0n,
+    status: "allocated",
+    reason: null,
+  }));
+
+  for (const entry of entries) {
+    if (entry.balance === 0n) {
+      entry.status = "skipped";
+      entry.reason = "holder balance is 0";
+    } else if (entry.balance <= minimumBalance) {
+      entry.status = "skipped";
+      entry.reason = `balance ${entry.balance} <= minimum ${minimumBalance}`;
+    }
+  }
+
+  const eligibleBalance = entries
+    .filter((e) => e.status === "allocated")
+    .reduce((sum, e) => sum + e.balance, 0n);
+  if (denominator !== undefined && denominator < eligibleBalance) {
+    throw new Error(
+      `Denominator ${denominator} is smaller than eligible balance ${eligibleBalance}`
+    );
+  }
+
+  let distributable = 0n;
+  for (;;) {
+    const active = entries.filter((e) => e.status === "allocated");
+    const activeBalance = active.reduce((sum, e) => sum + e.balance, 0n);
+    const base = denominator !== undefined ? denominator : activeBalance;
+    distributable = base === 0n ? 0n : (amount * activeBalance) / base;
+    splitLargestRemainder(active, distributable);
+
+    const belowMinimum = active.filter((e) => e.share < minimumPayout);
+    if (belowMinimum.length === 0) break;
+    for (const entry of belowMinimum) {
+      entry.status = "skipped";
+      entry.reason = `share ${entry.share} below minimum payout ${minimumPayout}`;
+      entry.share = 0n;
+    }
+  }
+
+  const allocated = entries.reduce((sum, e) => sum + e.share, 0n);
+  const result = entries.map(({ key, remainder, ...entry }) => entry);
+  return {
+    entries: result,
+    totals: {
+      amount,
+      denominator: denominator !== undefined ? denominator : eligibleBalance,
+      eligibleBalance,
+      distributable,
+      allocated,
+      undistributed: amount - allocated,
+      recipients: result.filter((e) => e.status === "allocated").length,
+    },
+  };
+}
+
+module.exports = { allocate };
@@ -0,0 +1,164 @@
+const fs = require("fs");
+const { dataPath, readJson, writeJsonAtomic } = require("../utils/store");
+const { TWAB } = require("../config/constants");
+
+// One file per sample: { takenAt, balances: { tokenAccount: { address, amount } } }
+const HISTORY_DIR = dataPath("balances");
+
+// Sample files are named after the time they were taken, so their names
+// sort in time order and a range of them can be picked without parsing any
+function sampleName(takenAt) {
+  return `${new Date(takenAt).toISOString().replace(/[:.]/g, "-")}.json`;
+}
+
+function samplePath(takenAt) {
+  return `${HISTORY_DIR}/${sampleName(takenAt)}`;
+}
+
+function listSampleFiles() {
+  if (!fs.existsSync(HISTORY_DIR)) return [];
+  return fs
+    .readdirSync(HISTORY_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .sort();
+}
+
+function readSamples(files) {
+  return files
+    .map((file) => readJson(`${HISTORY_DIR}/${file}`))
+    .filter(Boolean);
+}
+
+/**
+ * Loads every stored sample taken in [from, to], oldest first.
+ */
+function loadSamples(from = 0, to = Infinity) {
+  const first = sampleName(from);
+  const last = Number.isFinite(to) ? sampleName(to) : null;
+  const files = listSampleFiles().filter(
+    (file) => file >= first && (last === null || file <= last)
+  );
+  return readSamples(files).filter(
+    (sample) => sample.takenAt >= from && sample.takenAt <= to
+  );
+}
+
+/**
+ * Loads the samples taken before `now` from the last one at or before
+ * `windowStart` onwards, oldest first: the one sample before the window says
+ * what was held when it opened.
+ */
+function loadWindowSamples(windowStart, now) {
+  const files = listSampleFiles().filter((file) => file < sampleName(now));
+  let firstIndex = files.findIndex((file) => file > sampleName(windowStart));
+  if (firstIndex === -1) firstIndex = files.length;
+  return readSamples(files.slice(Math.max(firstIndex - 1, 0))).filter(
+    (sample) => sample.takenAt < now
+  );
+}
+
+function toSample(holders, takenAt) {
+  const balances = {};
+  for (const holder of holders) {
+    balances[holder.tokenAccount] = {
+      address: holder.address,
+      amount: String(holder.amount),
+    };
+  }
+  return { takenAt, balances };
+}
+
+/**
+ * Stores the balances of a `getTokenHolders` result as one sample and drops
+ * samples older than TWAB.retentionMs.
+ */
+function recordBalances(holders, takenAt = Date.now()) {
+  writeJsonAtomic(samplePath(takenAt), toSample(holders, takenAt));
+  const cutoff = sampleName(takenAt - TWAB.retentionMs);
+  for (const file of listSampleFiles()) {
+    if (file < cutoff) fs.unlinkSync(`${HISTORY_DIR}/${file}`);
+  }
+  console.error(`Recorded balances of ${holders.length} token accounts`);
+}
+
+/**
+ * Replaces each holder's `amount` with its time-weighted average balance over
+ * the last TWAB.windowMs, treating `holders` as the sample at `now`. Each
+ * sample's balance holds until the next sample; an account missing from a
+ * sample held nothing then. When the history does not reach back to the
+ * window start, the window is shortened to the oldest sample.
+ *
+ * Returns the holders (with the live balance kept as `currentAmount`) and a
+ * summary of the window that was used.
+ */
+function applyTwab(holders, now = Date.now(), config = TWAB) {
+  const windowStart = now - config.windowMs;
+  const samples = [
+    ...loadWindowSamples(windowStart, now),
+    toSample(holders, now),
+  ];
+  const coverageStart = Math.max(samples[0].takenAt, windowStart);
+
+  const weighted = {};
+  for (let i = 0; i < samples.length - 1; i++) {
+    const from = Math.max(samples[i].takenAt, windowStart);
+    const duration = BigInt(samples[i + 1].takenAt - from);
+    if (duration <= 0n) continue;
+    for (const [tokenAccount, { amount }] of Object.entries(
+      samples[i].balances
+    )) {
+      weighted[tokenAccount] =
+        (weighted[tokenAccount] || 0n) + BigInt(amount) * duration;
+    }
+  }
+
+  const span = BigInt(now - coverageStart);
+  const averaged = holders.map((holder) => ({
+    ...holder,
+    currentAmount: String(holder.amount),
+    // Without any history the live balance is all there is to go on
+    amount:
+      span > 0n
+        ? ((weighted[holder.tokenAccount] || 0n) / span).toString()
+        : String(holder.amount),
+  }));
+
+  const window = {
+    windowStart: new Date(windowStart).toISOString(),
+    coverageStart: new Date(coverageStart).toISOString(),
+    windowEnd: new Date(now).toISOString(),
+    samples: samples.length,
+  };
+  if (coverageStart > windowStart) {
+    console.error(
+      `Balance history only covers ${window.coverageStart} onwards; TWAB window shortened`
+    );
+  }
+  console.error(
+    `Applied TWAB over ${samples.length} samples to ${holders.length} token accounts`
+  );
+  return { holders: averaged, window };
+}
+
+/**
+ * Returns one entry per stored sample with the balances a holder address had
+ * across its token accounts, oldest first.
+ */
+function getBalanceHistory(address, from = 0, to = Infinity) {
+  return loadSamples(from, to).map(({ takenAt, balances }) => {
+    const accounts = {};
+    let total = 0n;
+    for (const [tokenAccount, entry] of Object.entries(balances)) {
+      if (entry.address !== address) continue;
+      accounts[tokenAccount] = entry.amount;
+      total += BigInt(entry.amount);
+    }
+    return {
+      takenAt: new Date(takenAt).toISOString(),
+      total: total.toString(),
+      accounts,
+    };
+  });
+}
+
+module.exports = { recordBalances, applyTwab, getBalanceHistory };
@@ -0,0 +1,83 @@
+const http = require("http");
+const { PublicKey } = require("../utils/solana");
+const { getLatestCycle, getClaim } = require("./claims");
+const { CLAIMS } = require("../config/constants");
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+function handleRequest(req, res) {
+  if (req.method !== "GET") {
+    sendJson(res, 405, { error: "Method not allowed" });
+    return;
+  }
+  const { pathname } = new URL(req.url, "http://localhost");
+
+  // GET /root: the latest published cycle without its proofs
+  if (pathname === "/root") {
+    const cycle = getLatestCycle();
+    if (!cycle) {
+      sendJson(res, 404, { error: "No claims published yet" });
+      return;
+    }
+    const { claims, ...summary } = cycle;
+    sendJson(res, 200, summary);
+    return;
+  }
+
+  // GET /claims/<owner>: the owner's proofs and claimable totals
+  const match = pathname.match(/^\/claims\/([^/]+)$/);
+  if (match) {
+    try {
+      new PublicKey(match[1]);
+    } catch (error) {
+      sendJson(res, 400, { error: `Invalid address "${match[1]}"` });
+      return;
+    }
+    const claim = getClaim(match[1]);
+    if (!claim) {
+      sendJson(res, 404, { error: "No claims published yet" });
+      return;
+    }
+    sendJson(res, 200, claim);
+    return;
+  }
+
+  sendJson(res, 404, { error: "Not found" });
+}
+
+/**
+ * Serves claim proofs over HTTP on CLAIMS.host:CLAIMS.port. Resolves to the
+ * server once it listens, or rejects when it cannot (port taken, bad host).
+ */
+function startClaimServer({ host, port } = CLAIMS) {
+  const server = http.createServer((req, res) => {
+    try {
+      handleRequest(req, res);
+    } catch (error) {
+      console.error("Claim server error:", error);
+      sendJson(res, 500, { error: "Internal error" });
+    }
+  });
+  return new Promise((resolve, reject) => {
+    server.once("error", (error) => {
+      reject(
+        new Error(
+          `Claim server cannot listen on ${host}:${port} (CLAIMS.host/CLAIMS.port): ${error.message}`
+        )
+      );
+    });
+    server.listen(port, host, () => {
+      console.error(`Claim server listening on http://${host}:${port}`);
+      // Errors after startup are logged rather than taking the process down
+      server.on("error", (error) => {
+        console.error("Claim server error:", error);
+      });
+      resolve(server);
+    });
+  });
+}
+
+module.exports = { startClaimServer };
@@ -0,0 +1,185 @@
+const fs = require("fs");
+const { TransactionInstruction } = require("@solana/web3.js");
+const { PublicKey } = require("../utils/solana");
+const { dataPath, readJson, writeJsonAtomic } = require("../utils/store");
+const { buildMerkleTree } = require("../utils/merkle");
+const { executeStep } = require("./journal");
+const { applyFeePolicy } = require("./feePolicy");
+const { CLAIMS } = require("../config/constants");
+
+// { accruals: { "<runId>:<legId>": { runId, legId, mint, recordedAt,
+//   amounts: { owner: amount } } } }
+//
+// The ledger only ever grows: every leg's accrual is added and the whole file
+// rewritten atomically, and nothing records what was claimed. Each published
+// leaf is therefore an owner's lifetime total per mint, which never
+// decreases; whatever pays claims out must keep what it already paid each
+// owner per mint and pay only the difference to the proven total.
+const LEDGER_FILE = dataPath("claims", "ledger.json");
+// One file per published cycle with its root and every proof
+const CYCLES_DIR = dataPath("claims", "cycles");
+const MEMO_PROGRAM_ID = new PublicKey(
+  "MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr"
+);
+
+function loadLedger() {
+  return readJson(LEDGER_FILE, { accruals: {} });
+}
+
+function cyclePath(runId) {
+  return `${CYCLES_DIR}/${runId}.json`;
+}
+
+/**
+ * Credits one leg's holder shares (owner -> amount of the leg's mint) to the
+ * claim ledger. Keyed by run and leg, so a resumed run can record a leg again
+ * without counting it twice.
+ */
+function recordAccruals(run, leg, amounts) {
+  if (!run) return;
+  const ledger = loadLedger();
+  ledger.accruals[`${run.id}:${leg.id}`] = {
+    runId: run.id,
+    legId: leg.id,
+    mint: leg.mint,
+    recordedAt: new Date().toISOString(),
+    amounts,
+  };
+  writeJsonAtomic(LEDGER_FILE, ledger);
+  console.error(
+    `Credited ${Object.keys(amounts).length} claims of mint ${leg.mint}`
+  );
+}
+
+/**
+ * Every owner's running total per mint, sorted by owner then mint so the
+ * same ledger always gives the same tree.
+ */
+function cumulativeClaims(ledger) {
+  const totals = new Map();
+  for (const { mint, amounts } of Object.values(ledger.accruals)) {
+    for (const [owner, amount] of Object.entries(amounts)) {
+      const key = `${owner}:${mint}`;
+      const current = totals.get(key) || { owner, mint, amount: 0n };
+      current.amount += BigInt(amount);
+      totals.set(key, current);
+    }
+  }
+  return [...totals.values()]
+    .filter((claim) => claim.amount > 0n)
+    .sort((a, b) =>
+      a.owner === b.owner
+        ? a.mint.localeCompare(b.mint)
+        : a.owner.localeCompare(b.owner)
+    );
+}
+
+/**
+ * Builds the Merkle tree of every owner's cumulative claimable amount per mint
+ * as of `run`, writes it with all proofs to claims/cycles/<runId>.json and,
+ * with CLAIMS.publishRoot, sends the root in a memo from the authority. The
+ * memo is journaled as the "claims-root" step, so a resumed run sends it once.
+ */
+async function publishClaims(withdrawAuthority, run) {
+  const ledger = loadLedger();
+  if (!Object.values(ledger.accruals).some((a) => a.runId === run.id)) {
+    console.error("No claims credited in this run, nothing to publish");
+    return null;
+  }
+
+  const claims = cumulativeClaims(ledger);
+  const { root, proofs } = buildMerkleTree(claims);
+  const cycle = {
+    runId: run.id,
+    root,
+    builtAt: new Date().toISOString(),
+    leafCount: claims.length,
+    totals: {},
+    claims: {},
+  };
+  for (const [index, { owner, mint, amount }] of claims.entries()) {
+    cycle.totals[mint] = (BigInt(cycle.totals[mint] || 0) + amount).toString();
+    cycle.claims[owner] = cycle.claims[owner] || [];
+    cycle.claims[owner].push({
+      mint,
+      amount: amount.toString(),
+      index,
+      proof: proofs[index],
+    });
+  }
+
+  if (CLAIMS.publishRoot) {
+    cycle.signature = await executeStep(
+      run,
+      "claims-root",
+      async () => {
+        const memoIx = new TransactionInstruction({
+          programId: MEMO_PROGRAM_ID,
+          keys: [
+            {
+              pubkey: withdrawAuthority.publicKey,
+              isSigner: true,
+              isWritable: false,
+            },
+          ],
+          data: Buffer.from(`DRT claims ${run.id} ${root}`, "utf-8"),
+        });
+        return applyFeePolicy(withdrawAuthority.publicKey, [memoIx], { run });
+      },
+      [withdrawAuthority],
+      { root }
+    );
+  }
+  writeJsonAtomic(cyclePath(run.id), cycle);
+  console.error(
+    `Published claims root ${root} over ${claims.length} claims${
+      cycle.signature ? `. TX: ${cycle.signature}` : ""
+    }`
+  );
+  return cycle;
+}
+
+/**
+ * The most recently published cycle, or null before the first one.
+ */
+function getLatestCycle() {
+  if (!fs.existsSync(CYCLES_DIR)) return null;
+  const files = fs
+    .readdirSync(CYCLES_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .sort();
+  return files.length
+    ? readJson(`${CYCLES_DIR}/${files[files.length - 1]}`)
+    : null;
+}
+
+/**
+ * What `owner` can claim as of the latest cycle: the cumulative amount and
+ * proof per mint, plus what each run credited to it.
+ */
+function getClaim(owner) {
+  const cycle = getLatestCycle();
+  if (!cycle) return null;
+  const history = Object.values(loadLedger().accruals)
+    .filter(({ amounts }) => amounts[owner] !== undefined)
+    .map(({ runId, legId, mint, amounts }) => ({
+      runId,
+      legId,
+      mint,
+      amount: amounts[owner],
+    }));
+  return {
+    owner,
+    runId: cycle.runId,
+    root: cycle.root,
+    claims: cycle.claims[owner] || [],
+    history,
+  };
+}
+
+module.exports = {
+  recordAccruals,
+  publishClaims,
+  getLatestCycle,
+  getClaim,
+};
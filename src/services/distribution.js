@@ -4,84 +4,196 @@ const {
   connection,
   PublicKey,
   SystemProgram,
-  sendAndConfirmTransaction,
-  Transaction,
+  buildVersionedTransaction,
+  fitsInTransaction,
 } = require("../utils/solana");
 const {
   getSplBalance,
   getOrCreateAssociatedTokenAccount,
   createTransferInstruction,
 } = require("./token");
-const { performJupiterSwap } = require("./swap");
+const { getSwapQuotes, buildSwap, performSwap } = require("./swap");
+const { assessSwap, splitAmount } = require("./swapGuard");
+const { assertSwapsAllowed, verifySwap } = require("./swapVerification");
 const {
-  OUTPUT_MINTS,
-  BATCH_SIZE,
-  TOTAL_SUPPLY,
+  MINIMUM_PAYOUTS,
   MINT_ADDRESS,
+  TREASURY_WALLET,
+  BASKET,
+  DISTRIBUTION_MODE,
+  OWED_BALANCES,
+  SWAP_GUARD,
+  SWAP_VERIFICATION,
+  MINT_DECIMALS,
+  MINIMUM_HOLDER_USD,
 } = require("../config/constants");
 const { ComputeBudgetProgram } = require("@solana/web3.js");
-const { TOKEN_PROGRAM_ID } = require("@solana/spl-token");
-const fs = require("fs");
-const path = require("path");
+const {
+  ACCOUNT_SIZE,
+  NATIVE_MINT,
+  TOKEN_PROGRAM_ID,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createSyncNativeInstruction,
+} = require("@solana/spl-token");
 const { getDrtPriceInUsd } = require("./price");
+const { allocate } = require("./allocation");
+const {
+  summarizeHolderRewards,
+  summarizeRecipientRewards,
+} = require("./journal");
+const { selectRewardAsset } = require("./rewardAsset");
+const { preferenceGroup } = require("./preferences");
+const { payoutAddress } = require("./registrations");
+const { classifyOwners, ownerPolicy } = require("./ownerPolicies");
+const { splitReceived } = require("./feeSplit");
+const {
+  deriveRecipientAccount,
+  getTokenProgram,
+  getRecipientAccount,
+  saveRecipientAccounts,
+  findMissingAccounts,
+  prepareAtaRent,
+} = require("./recipientAccounts");
+const {
+  prepareLookupTables,
+  recordPayoutRecipients,
+} = require("./lookupTables");
+const {
+  getStep,
+  recordStep,
+  saveRun,
+  saveLegPayouts,
+  saveAllocation,
+  saveOwnerDecisions,
+  getSwapSteps,
+  settleStep,
+  executeStep,
+  executeBatch,
+  settleBatches,
+  isPaid,
+} = require("./journal");
+const { applyFeePolicy } = require("./feePolicy");
+const { recordAccruals } = require("./claims");
+const {
+  entryKey,
+  loadOwedLedger,
+  saveOwedLedger,
+  getOwed,
+  creditOwed,
+  debitOwed,
+  getDebit,
+  getOwedMinimum,
+} = require("./owedBalances");
+const { estimateFeeLamports, recordHolder, recordBatch } = require("./plan");
 
-let currentOutputIndex = 0;
-const COMPUTE_UNITS = 300000; // Define at module level since it’s static
-
-async function getDynamicPriorityFee(connection) {
-  const recentFees = await connection.getRecentPrioritizationFees();
-
-  if (!recentFees || recentFees.length === 0) {
-    return 50_000; // Default high priority fee if no data is available (~0.05 SOL for 500k CU)
-  }
-
-  // Sort and find the median fee
-  const medianFee = recentFees
-    .map((f) => f.prioritizationFee)
-    .sort((a, b) => a - b)[Math.floor(recentFees.length / 2)];
-
-  // Apply a multiplier for priority (e.g., 1.5x the median for faster confirmation)
-  const priorityFee = Math.max(medianFee * 1.5, 50_000); // At least 50k µLamports (0.025 SOL)
+// Stand-ins for the compute budget the fee policy adds when a batch is sent;
+// they serialize to the same size, so batches can be measured with them
+const BUDGET_PLACEHOLDERS = [
+  ComputeBudgetProgram.setComputeUnitLimit({ units: 0 }),
+  ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 0 }),
+];
 
-  return priorityFee;
+function batchRecipients(batchEntries) {
+  return batchEntries.map(({ holder }) => holder.tokenAccount);
 }
 
-/**
- * Ensures that the token account file exists; if not, creates an empty JSON object.
- */
-function ensureTokenAccountsFileExists(filePath) {
-  if (!fs.existsSync(filePath)) {
-    fs.writeFileSync(filePath, JSON.stringify({}), "utf-8");
-  }
+// What the journal records for each instruction of a batch
+function batchTransfers(batchEntries) {
+  return batchEntries.map(({ holder, share, destination }) => ({
+    recipient: holder.tokenAccount,
+    destination,
+    amount: share.toString(),
+  }));
 }
 
-function getTokenAccountsFile(tokenMint) {
-  if (tokenMint === "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v") {
-    return path.resolve(__dirname, "../data/USDC-TokenAccount.json");
-  } else if (tokenMint === "7vfCXTUXx5WJV5JADk17DUJ4ksgau7utNKj4b963voxs") {
-    return path.resolve(__dirname, "../data/ETH-TokenAccount.json");
-  } else if (tokenMint === "3NZ9JMVBmGAqocybic2c7LQCJScmgsAZ6vQqTDzcqmJh") {
-    return path.resolve(__dirname, "../data/BTC-TokenAccount.json");
-  } else {
-    // Fallback file for other tokens.
-    return path.resolve(__dirname, "../data/TokenAccount.json");
-  }
+function getMinimumPayout(outputMint) {
+  return MINIMUM_PAYOUTS[outputMint] ?? MINIMUM_PAYOUTS.default;
 }
 
 /**
- * Loads the token accounts cache from the JSON file into an object.
+ * Prices and simulates a payout batch instead of sending it and adds it to
+ * the plan.
  */
-function loadTokenAccountsCache(filePath) {
-  ensureTokenAccountsFileExists(filePath);
-  const data = fs.readFileSync(filePath, "utf-8");
-  return JSON.parse(data); // e.g. { "holderPubkey": "holderAtaPubkey", ... }
+async function planBatch(
+  plan,
+  withdrawAuthority,
+  instructions,
+  lookupTables,
+  recipients,
+  mint
+) {
+  const fees = await applyFeePolicy(withdrawAuthority.publicKey, instructions, {
+    lookupTables,
+    strict: false,
+  });
+  const { simulation } = fees;
+  recordBatch(plan, {
+    mint,
+    recipients,
+    size: buildVersionedTransaction(
+      withdrawAuthority.publicKey,
+      fees.instructions,
+      lookupTables
+    ).serialize().length,
+    computeUnits: fees.computeUnits,
+    microLamports: fees.microLamports,
+    simulation,
+    estimatedFeeLamports: estimateFeeLamports(
+      fees.microLamports,
+      fees.computeUnits
+    ),
+  });
+  console.error(
+    `Planned batch of ${recipients.length} transfers (simulation ${
+      simulation.err ? `failed: ${JSON.stringify(simulation.err)}` : "ok"
+    })`
+  );
 }
 
 /**
- * Saves the updated token accounts object back to the JSON file.
+ * Splits `amount` of `outputMint` between the snapshot's holders with a
+ * balance worth more than MINIMUM_HOLDER_USD of DRT. With `defer`, holders under that
+ * threshold or under the minimum payout keep their share, marked with a
+ * `deferReason`, so it can be owed to them instead.
  */
-function saveTokenAccountsCache(filePath, tokenAccounts) {
-  fs.writeFileSync(filePath, JSON.stringify(tokenAccounts, null, 2), "utf-8");
+async function allocateShares(
+  snapshot,
+  amount,
+  outputMint,
+  { defer = false } = {}
+) {
+  // Fetch DRT price and calculate the minimum balance worth MINIMUM_HOLDER_USD
+  const drtPriceUsd = await getDrtPriceInUsd();
+  const MINIMUM_BALANCE = BigInt(
+    Math.ceil((MINIMUM_HOLDER_USD / drtPriceUsd) * 10 ** MINT_DECIMALS)
+  );
+  console.error(
+    `Minimum DRT balance for distribution: ${MINIMUM_BALANCE} lamports ($${MINIMUM_HOLDER_USD})`
+  );
+
+  const { entries, totals } = allocate({
+    holders: snapshot.holders,
+    amount: BigInt(amount),
+    denominator: BigInt(snapshot.eligibleSupply),
+    minimumBalance: defer ? 0n : MINIMUM_BALANCE,
+    minimumPayout: defer ? 1n : getMinimumPayout(outputMint),
+  });
+  if (defer) {
+    const minimumPayout = getMinimumPayout(outputMint);
+    for (const entry of entries) {
+      if (entry.status !== "allocated") continue;
+      if (entry.balance <= MINIMUM_BALANCE) {
+        entry.deferReason = `balance ${entry.balance} <= minimum ${MINIMUM_BALANCE}`;
+      } else if (entry.share < minimumPayout) {
+        entry.deferReason = `share ${entry.share} below minimum payout ${minimumPayout}`;
+      }
+    }
+  }
+  console.error(
+    `Allocated ${totals.allocated} of ${totals.amount} to ${totals.recipients} holders (${totals.undistributed} undistributed)`
+  );
+  return { entries, totals };
 }
 
 async function retryOperation(operation, maxRetries = 3, delayMs = 3000) {
@@ -97,483 +209,1104 @@ async function retryOperation(operation, maxRetries = 3, delayMs = 3000) {
 }
 
 /**
- * Distribute tokens to holders, using a local JSON to avoid repeated getOrCreate calls.
+ * Distribute tokens to holders in batches that also create any missing
+ * recipient ATAs, under the ATA_RENT policy.
+ * `snapshot` is the output of `applyExclusionRules`: only eligible holders,
+ * with shares measured against their combined balance.
  */
 async function distributeToHolders(
   withdrawAuthority,
-  holders,
+  snapshot,
   amount,
   outputMint,
   isSolOutput,
-  sourceAtaPubkey
+  sourceAtaPubkey,
+  { run = null, plan = null, payoutKey = outputMint } = {}
 ) {
-  const tokenAccountsFile = getTokenAccountsFile(outputMint);
-  const tokenAccountsCache = loadTokenAccountsCache(tokenAccountsFile);
+  const { holders } = snapshot;
   const outputMintPk = new PublicKey(outputMint);
+  const tokenProgram = isSolOutput ? null : await getTokenProgram(outputMint);
   const isBtc = outputMint === "3NZ9JMVBmGAqocybic2c7LQCJScmgsAZ6vQqTDzcqmJh";
-  let batchTx = new Transaction();
-  let instructionsCount = 0;
+  let batchInstructions = [];
+  let batchEntries = [];
   let failedHolders = [];
-  const PRIORITY_FEE_MICROLAMPORTS = await getDynamicPriorityFee(connection);
+  const paidEntries = [];
+  // ATAs this call creates, counted once each however many payouts use them
+  const fundedAtas = new Set();
+  const createdAtas = new Set();
+
+  // Plan mode reads the ledger but never saves it
+  const owedLedger = OWED_BALANCES.enabled
+    ? loadOwedLedger(run ? run.id : "plan")
+    : null;
+  const owedKey = (holder) =>
+    entryKey(run ? run.id : "plan", payoutKey, holder.tokenAccount);
+
+  const skipHolder = (holder, reason, share) => {
+    console.error(`Skipping ${holder.address} (${reason})`);
+    recordHolder(plan, {
+      address: holder.address,
+      tokenAccount: holder.tokenAccount,
+      mint: outputMint,
+      balance: holder.amount,
+      share,
+      status: "skipped",
+      reason,
+    });
+  };
+
+  // Skips a holder, owing it the share it could not be paid
+  const deferHolder = (holder, share, reason) => {
+    skipHolder(holder, reason, share);
+    if (!owedLedger || share === 0n) return;
+    console.error(`Owing ${share} to ${holder.address}`);
+    creditOwed(
+      owedLedger,
+      holder.address,
+      outputMint,
+      owedKey(holder),
+      share,
+      reason
+    );
+  };
 
   // Check SOL balance
   const solBalance = await connection.getBalance(withdrawAuthority.publicKey);
-  console.log(`Withdraw authority SOL balance: ${solBalance / 1e9} SOL`);
-
-  // Fetch DRT price and calculate minimum balance for $20
-  const drtPriceUsd = await getDrtPriceInUsd();
-  const DRT_DECIMALS = 9; // Adjust if your DRT token has different decimals
-  const DOLLARS_THRESHOLD = 15; // $15 threshold
-  const MINIMUM_BALANCE = BigInt(
-    Math.ceil((DOLLARS_THRESHOLD / drtPriceUsd) * 10 ** DRT_DECIMALS)
-  );
-  console.log(
-    `Minimum DRT balance for distribution: ${MINIMUM_BALANCE} lamports ($${DOLLARS_THRESHOLD})`
-  );
+  console.error(`Withdraw authority SOL balance: ${solBalance / 1e9} SOL`);
 
-  // Add compute budget instructions
-  batchTx.add(
-    ComputeBudgetProgram.setComputeUnitPrice({
-      microLamports: PRIORITY_FEE_MICROLAMPORTS,
-    })
-  );
-  batchTx.add(
-    ComputeBudgetProgram.setComputeUnitLimit({
-      units: COMPUTE_UNITS,
-    })
+  // Every share is fixed up front in exact integers; the loop only executes them
+  const { entries, totals } = await allocateShares(
+    snapshot,
+    amount,
+    outputMint,
+    { defer: OWED_BALANCES.enabled }
   );
-
-  // Calculate shares with higher precision
-  const totalSupplyBig = BigInt(TOTAL_SUPPLY);
-  const amountBig = BigInt(amount);
+  if (plan) plan.allocations.push({ mint: outputMint, payoutKey, ...totals });
   let totalDistributed = 0n;
 
-  for (const [index, holder] of holders.entries()) {
-    console.log(
-      `Processing holder ${index + 1}/${holders.length}: ${holder.address}`
-    );
-    try {
-      const holderPk = new PublicKey(holder.address);
-      const holderBalance = BigInt(holder.amount);
+  const allocatedRecipients = entries
+    .filter((entry) => entry.status === "allocated")
+    .map((entry) => payoutAddress(snapshot, entry.address));
 
-      // Skip non-holders or those with less than $20 worth of DRT
-      if (holderBalance === 0n) {
-        console.log(`Skipping ${holder.address} (holder balance is 0)`);
-        continue;
-      }
-      if (holderBalance <= MINIMUM_BALANCE) {
-        console.log(
-          `Skipping ${holder.address} (balance ${holderBalance} <= ${MINIMUM_BALANCE} [$${DOLLARS_THRESHOLD} threshold])`
-        );
-        continue;
-      }
+  // Recipients that are not plain wallets are paid by OWNER_POLICIES. Token
+  // rewards, and SOL rewards paid as wrapped SOL, go to a token account.
+  const ownerClasses = await classifyOwners(allocatedRecipients);
+  const paysTokenAccount = (recipient) => {
+    const policy = ownerPolicy(
+      ownerClasses.get(recipient).ownerClass,
+      isSolOutput
+    );
+    return isSolOutput
+      ? policy === "wrapped-sol"
+      : ["wallet", "ata"].includes(policy);
+  };
+  const accountMint = isSolOutput ? NATIVE_MINT.toBase58() : outputMint;
+  const accountProgram = isSolOutput ? TOKEN_PROGRAM_ID : tokenProgram;
+  const tokenAccountRecipients = allocatedRecipients.filter(paysTokenAccount);
+  const ataRent =
+    tokenAccountRecipients.length > 0
+      ? await prepareAtaRent(accountMint, accountProgram)
+      : null;
 
-      // Use floating-point for precision, then convert to integer lamports
-      const shareFloat =
-        (Number(holderBalance) * Number(amount)) / Number(totalSupplyBig);
-      let share = BigInt(Math.floor(shareFloat));
+  // Which recipient ATAs still have to be created, looked up in bulk
+  const missingAtas = await findMissingAccounts(
+    tokenAccountRecipients.map((recipient) =>
+      deriveRecipientAccount(accountMint, recipient, accountProgram)
+    )
+  );
+  if (missingAtas.size > 0) {
+    console.error(
+      `${missingAtas.size} recipient ATAs are missing (${ataRent.rentLamports} lamports rent each)`
+    );
+  }
 
-      // Apply minimum 1 lamport for BTC only if share would be 0 but holder has balance
-      if (isBtc && share === 0n && holderBalance > 0n) {
-        share = 1n;
-      }
+  // Destinations paid in earlier cycles are already known: SOL goes to the
+  // wallet itself, tokens to the stored ATA
+  const knownDestinations = allocatedRecipients
+    .map((recipient) =>
+      isSolOutput
+        ? recipient
+        : getRecipientAccount(outputMint, recipient, tokenProgram)
+    )
+    .filter(Boolean);
+  const { tables: lookupTables, missing } = await prepareLookupTables(
+    withdrawAuthority,
+    [
+      withdrawAuthority.publicKey,
+      isSolOutput ? SystemProgram.programId : tokenProgram,
+      ...(sourceAtaPubkey ? [sourceAtaPubkey] : []),
+    ],
+    knownDestinations,
+    { dryRun: Boolean(plan), run }
+  );
+  if (plan) {
+    plan.lookupTables.push({
+      mint: outputMint,
+      payoutKey,
+      tables: lookupTables.map((table) => table.key.toBase58()),
+      wouldAdd: missing,
+    });
+  }
 
-      // Ensure we don’t exceed the total amount
-      if (totalDistributed + share > amountBig) {
-        share = amountBig - totalDistributed;
-      }
-      if (share === 0n) {
-        console.log(`Skipping ${holder.address} (adjusted share is 0)`);
-        continue;
-      }
+  /**
+   * Builds the instructions paying `share` to a holder: the transfer, preceded
+   * by an idempotent ATA creation when the recipient has no ATA yet. Returns
+   * `{ skip }` with a reason when the holder cannot be paid. Both carry the
+   * recipient's owner class and the policy applied to it.
+   */
+  const buildPayout = async (holder, share) => {
+    const recipient = payoutAddress(snapshot, holder.address);
+    const holderPk = new PublicKey(recipient);
+    if (!ownerClasses.has(recipient)) {
+      ownerClasses.set(
+        recipient,
+        (await classifyOwners([recipient])).get(recipient)
+      );
+    }
+    const { ownerClass, exists } = ownerClasses.get(recipient);
+    const policy = ownerPolicy(ownerClass, isSolOutput);
+    const decision = { recipient, ownerClass, policy };
 
-      totalDistributed += share;
-      console.log(`Calculated share for ${holder.address}: ${share} lamports`);
+    if (policy === "owed") {
+      return { ...decision, skip: `${ownerClass} owner, held as owed` };
+    }
+    if (policy === "redirect") {
+      return { ...decision, skip: `${ownerClass} owner without a redirect` };
+    }
 
-      if (isSolOutput) {
-        const accountInfo = await connection.getAccountInfo(holderPk);
-        if (
-          !accountInfo ||
-          accountInfo.owner.toBase58() !== SystemProgram.programId.toBase58()
-        ) {
-          console.log(`Skipping ${holder.address} (not system-owned)`);
-          continue;
-        }
-        batchTx.add(
+    if (policy === "wallet" && isSolOutput) {
+      if (!exists) return { ...decision, skip: "account does not exist" };
+      return {
+        ...decision,
+        destination: recipient,
+        instructions: [
           SystemProgram.transfer({
             fromPubkey: withdrawAuthority.publicKey,
             toPubkey: holderPk,
             lamports: Number(share),
-          })
-        );
-      } else {
-        if (!PublicKey.isOnCurve(holderPk)) {
-          console.log(`Skipping ${holder.address} - not an Ed25519 key`);
-          continue;
-        }
+          }),
+        ],
+      };
+    }
 
-        let holderAtaAddress = tokenAccountsCache[holder.address];
-        let holderAtaPubkey;
+    // Off-curve owners are allowed: their ATA is still derived from the owner
+    const holderAtaPubkey = getAssociatedTokenAddressSync(
+      new PublicKey(accountMint),
+      holderPk,
+      true,
+      accountProgram
+    );
+    const holderAtaAddress = holderAtaPubkey.toBase58();
+    const instructions = [];
+    const createsAta = missingAtas.has(holderAtaAddress);
 
-        if (holderAtaAddress) {
-          holderAtaPubkey = new PublicKey(holderAtaAddress);
-          const ataInfo = await connection.getAccountInfo(holderAtaPubkey);
-          if (!ataInfo || ataInfo.data.length === 0) {
-            console.log(
-              `Cached ATA ${holderAtaAddress} for ${holder.address} is invalid or empty. Recreating...`
-            );
-            holderAtaAddress = null;
-          } else if (isBtc) {
-            console.log(
-              `BTC cached ATA ${holderAtaAddress} for ${holder.address} validated`
-            );
-          }
+    if (createsAta) {
+      if (!fundedAtas.has(holderAtaAddress)) {
+        if (!ataRent.fundsRent(share)) {
+          return { ...decision, skip: "share does not cover ATA rent" };
         }
-
-        if (!holderAtaAddress) {
-          console.log(
-            `No cached ATA for ${holder.address}, creating new one...`
-          );
-          if (solBalance < 0.0025 * 1e9) {
-            throw new Error(
-              `Insufficient SOL (${solBalance / 1e9}) to create ATA for ${
-                holder.address
-              }`
-            );
-          }
-          const holderAta = await retryOperation(
-            async () => {
-              const ata = await getOrCreateAssociatedTokenAccount(
-                connection,
-                withdrawAuthority,
-                outputMintPk,
-                holderPk,
-                false,
-                "confirmed"
-              );
-              const ataInfo = await connection.getAccountInfo(ata.address);
-              if (!ataInfo || ataInfo.data.length === 0) {
-                throw new Error(
-                  `Failed to confirm ATA creation for ${holder.address}`
-                );
-              }
-              return ata;
-            },
-            3,
-            3000
-          );
-          holderAtaAddress = holderAta.address.toBase58();
-          holderAtaPubkey = holderAta.address;
-          tokenAccountsCache[holder.address] = holderAtaAddress;
-          saveTokenAccountsCache(tokenAccountsFile, tokenAccountsCache);
-          console.log(
-            `Created and cached ATA ${holderAtaAddress} for ${holder.address}`
-          );
-        } else {
-          holderAtaPubkey = new PublicKey(holderAtaAddress);
+        const committedRent = (fundedAtas.size + 1) * ataRent.rentLamports;
+        if (!plan && solBalance < committedRent) {
+          return { ...decision, skip: "insufficient SOL for ATA rent" };
         }
-
-        if (isBtc) {
-          console.log(
-            `Adding BTC transfer: ${sourceAtaPubkey.toBase58()} -> ${holderAtaPubkey.toBase58()}, amount: ${Number(
-              share
-            )}`
-          );
+        fundedAtas.add(holderAtaAddress);
+        if (plan) {
+          plan.ataCreations.push({
+            owner: recipient,
+            mint: accountMint,
+            ata: holderAtaAddress,
+            rentLamports: ataRent.rentLamports,
+          });
+          plan.totals.rentLamports += ataRent.rentLamports;
         }
-        batchTx.add(
-          createTransferInstruction(
-            sourceAtaPubkey,
-            holderAtaPubkey,
-            withdrawAuthority.publicKey,
-            Number(share),
-            [],
-            TOKEN_PROGRAM_ID
-          )
+      }
+      instructions.push(
+        createAssociatedTokenAccountIdempotentInstruction(
+          withdrawAuthority.publicKey,
+          holderAtaPubkey,
+          holderPk,
+          new PublicKey(accountMint),
+          accountProgram
+        )
+      );
+    }
+
+    if (isSolOutput) {
+      // Wrapped SOL: lamports into the token account, then synced into its
+      // token balance
+      instructions.push(
+        SystemProgram.transfer({
+          fromPubkey: withdrawAuthority.publicKey,
+          toPubkey: holderAtaPubkey,
+          lamports: Number(share),
+        }),
+        createSyncNativeInstruction(holderAtaPubkey)
+      );
+    } else {
+      if (isBtc) {
+        console.error(
+          `Adding BTC transfer: ${sourceAtaPubkey.toBase58()} -> ${holderAtaAddress}, amount: ${Number(
+            share
+          )}`
         );
       }
+      instructions.push(
+        createTransferInstruction(
+          sourceAtaPubkey,
+          holderAtaPubkey,
+          withdrawAuthority.publicKey,
+          Number(share),
+          [],
+          tokenProgram
+        )
+      );
+    }
+    return {
+      ...decision,
+      destination: holderAtaAddress,
+      createsAta,
+      rentLamports: createsAta ? ataRent.rentLamports : 0,
+      instructions,
+    };
+  };
 
-      instructionsCount++;
-      console.log(
-        `Added instruction for ${holder.address}, batch size: ${instructionsCount}`
+  // The policy each recipient that is not a plain wallet was paid under,
+  // keyed by token account for the run report
+  const ownerDecisions = {};
+  const noteDecision = (holder, payout) => {
+    if (payout.ownerClass === "wallet") return;
+    ownerDecisions[holder.tokenAccount] = {
+      owner: holder.address,
+      recipient: payout.recipient,
+      ownerClass: payout.ownerClass,
+      policy: payout.policy,
+      ...(payout.skip
+        ? { reason: payout.skip }
+        : { destination: payout.destination }),
+    };
+  };
+
+  // Stores the paid ATAs and charges the rent of the ones just created to the run
+  const recordPaid = (paid) => {
+    paidEntries.push(...paid);
+    if (plan) return;
+    const tokenAccounts = paid.filter(
+      ({ payout }) => payout.createsAta !== undefined
+    );
+    if (!isSolOutput) {
+      saveRecipientAccounts(
+        outputMint,
+        tokenAccounts.map(({ payout }) => ({
+          owner: payout.recipient,
+          address: payout.destination,
+        })),
+        tokenProgram
       );
+    }
+    let rentLamports = 0;
+    for (const { payout } of tokenAccounts) {
+      if (!payout.createsAta || createdAtas.has(payout.destination)) continue;
+      createdAtas.add(payout.destination);
+      rentLamports += payout.rentLamports;
+    }
+    if (rentLamports > 0 && run) {
+      run.ataRentLamports = (run.ataRentLamports || 0) + rentLamports;
+      saveRun(run);
+    }
+  };
 
-      if (instructionsCount >= BATCH_SIZE || totalDistributed >= amountBig) {
-        const { blockhash, lastValidBlockHeight } =
-          await connection.getLatestBlockhash("confirmed");
-        batchTx.recentBlockhash = blockhash;
-        batchTx.lastValidBlockHeight = lastValidBlockHeight;
-        batchTx.feePayer = withdrawAuthority.publicKey;
-
-        try {
-          const signature = await retryOperation(
-            async () => {
-              const sig = await sendAndConfirmTransaction(
-                connection,
-                batchTx,
-                [withdrawAuthority],
-                {
-                  commitment: "confirmed",
-                  maxRetries: 10,
-                  skipPreflight: false,
-                  preflightCommitment: "confirmed",
-                }
-              );
-              if (isBtc) console.log(`BTC batch TX: ${sig}`);
-              return sig;
-            },
-            3,
-            3000
-          );
-          console.log(
-            `Batch of ${instructionsCount} transfers sent. TX: ${signature}`
-          );
-        } catch (err) {
-          console.error(`Batch failed:`, err);
-          for (let i = 0; i < instructionsCount; i++) {
-            const h = holders[i];
-            const hShareFloat =
-              (Number(BigInt(h.amount)) * Number(amount)) /
-              Number(totalSupplyBig);
-            const hShare =
-              BigInt(Math.floor(hShareFloat)) ||
-              (isBtc && BigInt(h.amount) > 0n ? 1n : 0n);
-            if (hShare > 0n && BigInt(h.amount) > MINIMUM_BALANCE) {
-              failedHolders.push({ holder: h, share: hShare });
-            }
-          }
-        }
+  // Batches a crashed attempt left pending decide who is already paid
+  if (!plan) await settleBatches(run);
 
-        batchTx = new Transaction();
-        batchTx.add(
-          ComputeBudgetProgram.setComputeUnitPrice({
-            microLamports: PRIORITY_FEE_MICROLAMPORTS,
-          })
+  // Sends the pending batch, or simulates it in plan mode
+  const flushBatch = async () => {
+    if (plan) {
+      await planBatch(
+        plan,
+        withdrawAuthority,
+        batchInstructions,
+        lookupTables,
+        batchRecipients(batchEntries),
+        outputMint
+      );
+      recordPaid(batchEntries);
+    } else {
+      try {
+        let attempt = 0;
+        const signature = await retryOperation(
+          async () => {
+            // Re-priced on every attempt, escalating the fee
+            const fees = await applyFeePolicy(
+              withdrawAuthority.publicKey,
+              batchInstructions,
+              { lookupTables, attempt: attempt++, run }
+            );
+            const sig = await executeBatch(
+              run,
+              payoutKey,
+              batchRecipients(batchEntries),
+              { ...fees, lookupTables },
+              [withdrawAuthority],
+              batchTransfers(batchEntries)
+            );
+            if (isBtc) console.error(`BTC batch TX: ${sig}`);
+            return sig;
+          },
+          3,
+          3000
         );
-        batchTx.add(
-          ComputeBudgetProgram.setComputeUnitLimit({
-            units: COMPUTE_UNITS,
-          })
+        console.error(
+          `Batch of ${batchEntries.length} transfers sent. TX: ${signature}`
         );
-        instructionsCount = 0;
+        recordPaid(batchEntries);
+      } catch (err) {
+        console.error(`Batch failed:`, err);
+        failedHolders.push(...batchEntries);
       }
-    } catch (err) {
-      console.error(`Error processing ${holder.address}:`, err);
-      failedHolders.push({ holder, share });
     }
+    batchInstructions = [];
+    batchEntries = [];
+  };
 
-    if (totalDistributed >= amountBig) {
-      console.log(
-        `Total distributed (${totalDistributed}) reached or exceeded amount (${amountBig}), stopping distribution`
-      );
-      break;
+  // Every holder's payout is decided before anything is sent: its share
+  // plus whatever it is owed, or a deferral when it cannot be paid
+  const planned = [];
+  for (const [index, entry] of entries.entries()) {
+    const holder = holders[index];
+    if (entry.status === "skipped") {
+      skipHolder(holder, entry.reason);
+      continue;
     }
-  }
-
-  // Handle remaining instructions
-  if (instructionsCount > 0) {
-    const { blockhash, lastValidBlockHeight } =
-      await connection.getLatestBlockhash("confirmed");
-    batchTx.recentBlockhash = blockhash;
-    batchTx.lastValidBlockHeight = lastValidBlockHeight;
-    batchTx.feePayer = withdrawAuthority.publicKey;
 
+    console.error(
+      `Processing holder ${index + 1}/${holders.length}: ${holder.address}`
+    );
     try {
-      const signature = await retryOperation(
-        async () => {
-          const sig = await sendAndConfirmTransaction(
-            connection,
-            batchTx,
-            [withdrawAuthority],
-            {
-              commitment: "confirmed",
-              maxRetries: 10,
-              skipPreflight: false,
-              preflightCommitment: "confirmed",
-            }
-          );
-          if (isBtc) console.log(`BTC final batch TX: ${sig}`);
-          return sig;
-        },
-        3,
-        3000
-      );
-      console.log(
-        `Final batch of ${instructionsCount} transfers sent. TX: ${signature}`
+      console.error(
+        `Calculated share for ${holder.address}: ${entry.share} lamports`
       );
+
+      if (isPaid(run, payoutKey, holder.tokenAccount)) {
+        console.error(`Skipping ${holder.address} (already paid in this run)`);
+        const debit = owedLedger
+          ? getDebit(owedLedger, holder.address, outputMint, owedKey(holder))
+          : 0n;
+        paidEntries.push({ holder, share: entry.share + debit });
+        continue;
+      }
+
+      const owed = owedLedger
+        ? getOwed(owedLedger, holder.address, outputMint, owedKey(holder))
+        : 0n;
+      const share = entry.share + owed;
+      if (entry.deferReason && share < getOwedMinimum(outputMint)) {
+        deferHolder(holder, entry.share, entry.deferReason);
+        continue;
+      }
+
+      const payout = await buildPayout(holder, share);
+      noteDecision(holder, payout);
+      if (payout.skip) {
+        deferHolder(holder, entry.share, payout.skip);
+        continue;
+      }
+      if (owedLedger) {
+        if (owed > 0n)
+          console.error(`Adding ${owed} owed to ${holder.address}`);
+        debitOwed(
+          owedLedger,
+          holder.address,
+          outputMint,
+          owedKey(holder),
+          owed
+        );
+      }
+      planned.push({
+        holder,
+        share,
+        allocated: entry.share,
+        owed,
+        destination: payout.destination,
+        payout,
+      });
     } catch (err) {
-      console.error(`Final batch failed:`, err);
-      for (let i = 0; i < instructionsCount; i++) {
-        const h = holders[i];
-        const hShareFloat =
-          (Number(BigInt(h.amount)) * Number(amount)) / Number(totalSupplyBig);
-        const hShare =
-          BigInt(Math.floor(hShareFloat)) ||
-          (isBtc && BigInt(h.amount) > 0n ? 1n : 0n);
-        if (hShare > 0n && BigInt(h.amount) > MINIMUM_BALANCE) {
-          failedHolders.push({ holder: h, share: hShare });
-        }
+      console.error(`Error processing ${holder.address}:`, err);
+      if (plan) skipHolder(holder, `error: ${err.message}`);
+      else {
+        failedHolders.push({
+          holder,
+          share: entry.share,
+          allocated: entry.share,
+        });
       }
     }
   }
 
-  // Retry failed holders
-  if (failedHolders.length > 0) {
-    console.log(`Retrying ${failedHolders.length} failed holders...`);
-    for (const { holder, share } of failedHolders) {
-      console.log(`Retrying ${holder.address} with share ${share}`);
-      try {
-        const holderPk = new PublicKey(holder.address);
-        const holderBalance = BigInt(holder.amount);
-
-        // Double-check balance in retry to ensure consistency
-        if (holderBalance <= MINIMUM_BALANCE) {
-          console.log(
-            `Skipping retry for ${holder.address} (balance ${holderBalance} <= ${MINIMUM_BALANCE} [$${DOLLARS_THRESHOLD} threshold])`
-          );
-          continue;
-        }
+  // What is about to be sent is the allocation reconciliation checks against;
+  // owed amounts are debited before any of it leaves
+  if (!plan) {
+    const shares = {};
+    for (const { holder, share } of [...planned, ...failedHolders]) {
+      shares[holder.tokenAccount] = share;
+    }
+    saveAllocation(run, payoutKey, outputMint, shares);
+    saveOwnerDecisions(run, payoutKey, outputMint, ownerDecisions);
+    if (owedLedger) saveOwedLedger(owedLedger);
+  } else if (Object.keys(ownerDecisions).length > 0) {
+    plan.ownerPolicies = plan.ownerPolicies || {};
+    plan.ownerPolicies[payoutKey] = {
+      mint: outputMint,
+      decisions: ownerDecisions,
+    };
+  }
 
-        const tx = new Transaction();
-        tx.add(
-          ComputeBudgetProgram.setComputeUnitPrice({
-            microLamports: PRIORITY_FEE_MICROLAMPORTS,
-          })
-        );
-        tx.add(
-          ComputeBudgetProgram.setComputeUnitLimit({
-            units: COMPUTE_UNITS,
-          })
-        );
+  for (const item of planned) {
+    const { holder, share, payout } = item;
+    // Batches grow until the next payout would not fit the transaction
+    if (
+      batchInstructions.length > 0 &&
+      !fitsInTransaction(
+        withdrawAuthority.publicKey,
+        [...BUDGET_PLACEHOLDERS, ...batchInstructions, ...payout.instructions],
+        lookupTables
+      )
+    ) {
+      await flushBatch();
+    }
+    batchInstructions.push(...payout.instructions);
+    totalDistributed += share;
+    batchEntries.push(item);
+    recordHolder(plan, {
+      address: holder.address,
+      tokenAccount: holder.tokenAccount,
+      recipient:
+        payout.recipient !== holder.address ? payout.recipient : undefined,
+      mint: outputMint,
+      balance: holder.amount,
+      share,
+      owedPaid: item.owed > 0n ? item.owed.toString() : undefined,
+      ownerClass:
+        payout.ownerClass !== "wallet" ? payout.ownerClass : undefined,
+      policy: payout.ownerClass !== "wallet" ? payout.policy : undefined,
+      status: "included",
+      batch: plan ? plan.batches.length : undefined,
+      ata:
+        payout.destination !== payout.recipient
+          ? payout.destination
+          : undefined,
+      createsAta: Boolean(payout.createsAta),
+    });
+    console.error(
+      `Added instruction for ${holder.address}, batch size: ${batchInstructions.length}`
+    );
+  }
 
-        if (isSolOutput) {
-          tx.add(
-            SystemProgram.transfer({
-              fromPubkey: withdrawAuthority.publicKey,
-              toPubkey: holderPk,
-              lamports: Number(share),
-            })
-          );
-        } else {
-          let holderAtaAddress = tokenAccountsCache[holder.address];
-          let holderAtaPubkey;
+  // Handle remaining instructions
+  if (batchInstructions.length > 0) await flushBatch();
 
-          if (!holderAtaAddress) {
-            console.log(
-              `No cached ATA for retry ${holder.address}, creating...`
-            );
-            if (solBalance < 0.0025 * 1e9) {
-              throw new Error(
-                `Insufficient SOL (${solBalance / 1e9}) to create ATA for ${
-                  holder.address
-                } in retry`
-              );
-            }
-            const holderAta = await retryOperation(
-              async () => {
-                const ata = await getOrCreateAssociatedTokenAccount(
-                  connection,
-                  withdrawAuthority,
-                  outputMintPk,
-                  holderPk,
-                  false,
-                  "confirmed"
-                );
-                const ataInfo = await connection.getAccountInfo(ata.address);
-                if (!ataInfo || ataInfo.data.length === 0) {
-                  throw new Error(
-                    `Failed to confirm ATA creation for ${holder.address} in retry`
-                  );
-                }
-                return ata;
-              },
-              3,
-              3000
-            );
-            holderAtaAddress = holderAta.address.toBase58();
-            holderAtaPubkey = holderAta.address;
-            tokenAccountsCache[holder.address] = holderAtaAddress;
-            saveTokenAccountsCache(tokenAccountsFile, tokenAccountsCache);
-            console.log(
-              `Retry created ATA ${holderAtaAddress} for ${holder.address}`
-            );
-          } else {
-            holderAtaPubkey = new PublicKey(holderAtaAddress);
-            const ataInfo = await connection.getAccountInfo(holderAtaPubkey);
-            if (!ataInfo || ataInfo.data.length === 0) {
-              throw new Error(
-                `Cached ATA ${holderAtaAddress} for ${holder.address} is invalid during retry`
-              );
-            }
-          }
-
-          if (isBtc) {
-            console.log(
-              `Retrying BTC transfer: ${sourceAtaPubkey.toBase58()} -> ${holderAtaPubkey.toBase58()}, amount: ${Number(
-                share
-              )}`
-            );
-          }
-          tx.add(
-            createTransferInstruction(
-              sourceAtaPubkey,
-              holderAtaPubkey,
-              withdrawAuthority.publicKey,
-              Number(share),
-              [],
-              TOKEN_PROGRAM_ID
-            )
+  // Retry failed holders one transaction each, once every batch whose
+  // outcome was uncertain has been settled: only provably unpaid ones go again
+  if (failedHolders.length > 0) {
+    await settleBatches(run);
+    console.error(`Retrying ${failedHolders.length} failed holders...`);
+    for (const failed of failedHolders) {
+      const { holder, share } = failed;
+      if (isPaid(run, payoutKey, holder.tokenAccount)) {
+        console.error(`Skipping retry for ${holder.address} (already paid)`);
+        if (failed.payout) recordPaid([failed]);
+        else paidEntries.push({ holder, share });
+        continue;
+      }
+      console.error(`Retrying ${holder.address} with share ${share}`);
+      // Whatever this holder was owed stays owed, along with its share
+      const oweFailed = (reason) => {
+        if (!owedLedger) return;
+        const key = owedKey(holder);
+        debitOwed(owedLedger, holder.address, outputMint, key, 0n);
+        creditOwed(
+          owedLedger,
+          holder.address,
+          outputMint,
+          key,
+          failed.allocated,
+          reason
+        );
+      };
+      try {
+        const payout = failed.payout || (await buildPayout(holder, share));
+        if (payout.skip) {
+          console.error(
+            `Skipping retry for ${holder.address} (${payout.skip})`
           );
+          oweFailed(payout.skip);
+          continue;
         }
 
-        const { blockhash, lastValidBlockHeight } =
-          await connection.getLatestBlockhash("confirmed");
-        tx.recentBlockhash = blockhash;
-        tx.lastValidBlockHeight = lastValidBlockHeight;
-        tx.feePayer = withdrawAuthority.publicKey;
-
+        let attempt = 0;
         const signature = await retryOperation(
           async () => {
-            const sig = await sendAndConfirmTransaction(
-              connection,
-              tx,
+            const fees = await applyFeePolicy(
+              withdrawAuthority.publicKey,
+              payout.instructions,
+              { lookupTables, attempt: attempt++, run }
+            );
+            const sig = await executeBatch(
+              run,
+              payoutKey,
+              [holder.tokenAccount],
+              { ...fees, lookupTables },
               [withdrawAuthority],
-              {
-                commitment: "confirmed",
-                maxRetries: 10,
-                skipPreflight: false,
-                preflightCommitment: "confirmed",
-              }
+              batchTransfers([
+                { holder, share, destination: payout.destination },
+              ])
             );
-            if (isBtc) console.log(`BTC retry TX: ${sig}`);
+            if (isBtc) console.error(`BTC retry TX: ${sig}`);
             return sig;
           },
           3,
           3000
         );
-        console.log(`Retry for ${holder.address} succeeded. TX: ${signature}`);
+        console.error(
+          `Retry for ${holder.address} succeeded. TX: ${signature}`
+        );
+        recordPaid([
+          { holder, share, destination: payout.destination, payout },
+        ]);
       } catch (err) {
         console.error(`Retry failed for ${holder.address}:`, err);
+        oweFailed(`payout failed: ${err.message}`);
       }
     }
   }
+  if (owedLedger && !plan) saveOwedLedger(owedLedger);
 
-  console.log(
+  if (plan) {
+    plan.totals.distributed = (
+      BigInt(plan.totals.distributed) + totalDistributed
+    ).toString();
+  }
+  console.error(
     `Distribution complete. Processed: ${holders.length}, Distributed: ${totalDistributed}, Failed: ${failedHolders.length}`
   );
+
+  if (!plan) {
+    recordPayoutRecipients(
+      paidEntries.map((entry) => entry.destination).filter(Boolean)
+    );
+  }
+
+  // In plan mode nothing is sent, so paidEntries holds the planned payouts
+  const payouts = {};
+  for (const { holder, share } of paidEntries) {
+    payouts[holder.address] = (payouts[holder.address] || 0n) + share;
+  }
+  return { distributed: totalDistributed, payouts };
 }
 
-async function distributeRewards(withdrawAuthority, holders, withdrawnAmount) {
-  const outputMint = OUTPUT_MINTS[currentOutputIndex];
-  currentOutputIndex = (currentOutputIndex + 1) % OUTPUT_MINTS.length;
-  const isSolOutput = isNativeSol(outputMint);
-  const outputMintPk = new PublicKey(outputMint);
-  const treasuryWalletPk = new PublicKey(
-    "CEC28iG14pTEZ6jtKqTRp4tohKYvVKZJAgycfUq5faXg"
+/**
+ * Claim mode's counterpart of `distributeToHolders`: allocates the holder
+ * pool the same way but only credits each share to its recipient's claimable
+ * balance. Nothing is sent.
+ */
+async function accrueClaims(
+  snapshot,
+  amount,
+  outputMint,
+  { run = null, leg, plan = null }
+) {
+  const { holders } = snapshot;
+  const { entries, totals } = await allocateShares(
+    snapshot,
+    amount,
+    outputMint
+  );
+  if (plan) {
+    plan.allocations.push({ mint: outputMint, payoutKey: leg.id, ...totals });
+  }
+
+  const payouts = {};
+  const amounts = {};
+  for (const [index, entry] of entries.entries()) {
+    const holder = holders[index];
+    if (entry.status === "skipped") {
+      recordHolder(plan, {
+        address: holder.address,
+        tokenAccount: holder.tokenAccount,
+        mint: outputMint,
+        balance: holder.amount,
+        status: "skipped",
+        reason: entry.reason,
+      });
+      continue;
+    }
+    const recipient = payoutAddress(snapshot, holder.address);
+    payouts[holder.address] = (payouts[holder.address] || 0n) + entry.share;
+    amounts[recipient] = (
+      BigInt(amounts[recipient] || 0) + entry.share
+    ).toString();
+    recordHolder(plan, {
+      address: holder.address,
+      tokenAccount: holder.tokenAccount,
+      recipient: recipient !== holder.address ? recipient : undefined,
+      mint: outputMint,
+      balance: holder.amount,
+      share: entry.share,
+      status: "claimable",
+    });
+  }
+
+  if (plan) {
+    plan.totals.distributed = (
+      BigInt(plan.totals.distributed) + totals.allocated
+    ).toString();
+  } else {
+    recordAccruals(run, leg, amounts);
+  }
+  return { distributed: totals.allocated, payouts };
+}
+
+/**
+ * Sends one fee recipient its cut of a leg. Journaled as "<name>:<legId>", so
+ * a resumed run never pays the same recipient twice for a leg.
+ */
+async function payFeeRecipient(
+  withdrawAuthority,
+  recipient,
+  leg,
+  run,
+  sourceAtaPubkey,
+  tokenProgram
+) {
+  const outputMintPk = new PublicKey(leg.mint);
+  console.error(
+    `Sending ${recipient.amount} of mint ${
+      leg.mint
+    } to ${recipient.name} (${recipient.wallet.toBase58()})...`
+  );
+  const signature = await executeStep(
+    run,
+    `${recipient.name}:${leg.id}`,
+    async () => {
+      let transferIx;
+      if (isNativeSol(leg.mint)) {
+        transferIx = SystemProgram.transfer({
+          fromPubkey: withdrawAuthority.publicKey,
+          toPubkey: recipient.wallet,
+          lamports: Number(recipient.amount),
+        });
+      } else {
+        const recipientAta = await getOrCreateAssociatedTokenAccount(
+          connection,
+          withdrawAuthority,
+          outputMintPk,
+          recipient.wallet,
+          false,
+          "confirmed",
+          undefined,
+          tokenProgram
+        );
+        transferIx = createTransferInstruction(
+          sourceAtaPubkey,
+          recipientAta.address,
+          withdrawAuthority.publicKey,
+          Number(recipient.amount),
+          [],
+          tokenProgram
+        );
+      }
+      return applyFeePolicy(withdrawAuthority.publicKey, [transferIx], {
+        run,
+      });
+    },
+    [withdrawAuthority],
+    { amount: recipient.amount.toString(), wallet: recipient.wallet.toBase58() }
+  );
+  console.error(`Transfer to ${recipient.name} completed. TX: ${signature}`);
+  return signature;
+}
+
+/**
+ * Splits `amount` by `weights` with largest remainder, so the parts always
+ * sum to exactly `amount`.
+ */
+function splitByWeight(amount, weights) {
+  const { entries } = allocate({
+    holders: weights.map((weight, i) => ({
+      address: `part${i}`,
+      tokenAccount: `part${i}`,
+      amount: BigInt(weight),
+    })),
+    amount,
+  });
+  return entries.map((entry) => entry.share);
+}
+
+/**
+ * Legs for holders without a preference: one per basket asset when the
+ * basket is enabled, otherwise a single leg for the strategy's pick.
+ */
+async function defaultLegs(amount, dryRun) {
+  let weighted;
+  if (BASKET.enabled) {
+    const totalBps = Object.values(BASKET.weights).reduce((a, b) => a + b, 0);
+    if (totalBps !== 10000) {
+      throw new Error(`Basket weights sum to ${totalBps} bps, expected 10000`);
+    }
+    weighted = Object.entries(BASKET.weights).map(([mint, weightBps]) => ({
+      mint,
+      weightBps,
+      selection: { strategy: "basket", mint, reason: `${weightBps} bps` },
+    }));
+  } else {
+    const selection = await selectRewardAsset({
+      withdrawnAmount: amount,
+      treasuryWallet: TREASURY_WALLET,
+      dryRun,
+    });
+    weighted = [{ mint: selection.mint, weightBps: 10000, selection }];
+  }
+
+  const amounts = splitByWeight(
+    amount,
+    weighted.map((leg) => leg.weightBps)
   );
-  const devWalletPk = new PublicKey(
-    "4BYJtpPXD7mxrzSBi7rkeHehBKW2TzgnAD39vEJddNpt"
+  return weighted.map((leg, i) => ({ ...leg, amountIn: amounts[i] }));
+}
+
+/**
+ * Splits this cycle's DRT into swap legs. Holders with a reward token
+ * preference form one group per preferred mint, each paid by a leg in that
+ * mint; everyone else forms the default group. Each group's DRT is
+ * proportional to its eligible balance. Legs are journaled, so a resumed run
+ * keeps the assets and amounts it started with.
+ */
+async function prepareLegs(
+  run,
+  withdrawnAmount,
+  snapshot,
+  { dryRun = false } = {}
+) {
+  if (run && run.legs) return run.legs;
+
+  const groupSupply = {};
+  for (const holder of snapshot.holders) {
+    const group = preferenceGroup(snapshot, holder.address);
+    groupSupply[group] = (groupSupply[group] || 0n) + BigInt(holder.amount);
+  }
+  const groups = Object.keys(groupSupply).sort();
+  if (groups.length === 0) {
+    groups.push("default");
+    groupSupply.default = 1n;
+  }
+  const groupAmounts = splitByWeight(
+    withdrawnAmount,
+    groups.map((group) => groupSupply[group])
   );
 
+  const legs = [];
+  for (const [i, group] of groups.entries()) {
+    if (groupAmounts[i] === 0n) continue;
+    if (group === "default") {
+      for (const leg of await defaultLegs(groupAmounts[i], dryRun)) {
+        legs.push({ ...leg, group });
+      }
+    } else {
+      legs.push({
+        mint: group,
+        weightBps: 10000,
+        amountIn: groupAmounts[i],
+        group,
+        selection: {
+          strategy: "preference",
+          mint: group,
+          reason: "holder preference",
+        },
+      });
+    }
+  }
+
+  const prepared = legs
+    .filter((leg) => leg.amountIn > 0n)
+    .map((leg, i) => ({
+      id: `leg${i}`,
+      mint: leg.mint,
+      group: leg.group,
+      weightBps: leg.weightBps,
+      amountIn: leg.amountIn.toString(),
+      status: "pending",
+      selection: leg.selection,
+    }));
+  for (const leg of prepared) {
+    console.error(
+      `Leg ${leg.id}: ${leg.amountIn} DRT -> ${leg.mint} for ${leg.group} holders`
+    );
+  }
+
+  if (run) {
+    run.legs = prepared;
+    saveRun(run);
+  }
+  return prepared;
+}
+
+/**
+ * Narrows the snapshot to the holders a leg pays, with shares measured
+ * against that group's balance only.
+ */
+function legSnapshot(snapshot, leg) {
+  if (leg.group === "all") return snapshot;
+  const holders = snapshot.holders.filter(
+    (holder) => preferenceGroup(snapshot, holder.address) === leg.group
+  );
+  return {
+    ...snapshot,
+    holders,
+    eligibleSupply: holders.reduce((sum, h) => sum + BigInt(h.amount), 0n),
+  };
+}
+
+/**
+ * Swaps this cycle's DRT into each leg's asset and pays holders, one leg at a
+ * time. A leg whose swap never landed gives its DRT back as carry-over; a leg
+ * that failed after swapping leaves the run incomplete so it can be resumed.
+ * Returns the DRT amount to carry over.
+ */
+async function distributeRewards(
+  withdrawAuthority,
+  snapshot,
+  withdrawnAmount,
+  run = null
+) {
+  const legs = await prepareLegs(run, withdrawnAmount, snapshot);
+  const failures = [];
+
+  for (const leg of legs) {
+    if (leg.status !== "pending") continue;
+    try {
+      const { payouts, recipients } = await distributeLeg(
+        withdrawAuthority,
+        legSnapshot(snapshot, leg),
+        leg,
+        run
+      );
+      saveLegPayouts(run, leg, payouts, recipients);
+      leg.status = "completed";
+    } catch (error) {
+      console.error(`Leg ${leg.id} (${leg.mint}) failed:`, error);
+      // A swap whose outcome is unknown may still land, so wait for it
+      // before deciding whether the leg's DRT is still in the wallet
+      for (const { name, step } of getSwapSteps(run, leg.id)) {
+        if (step.status === "pending") await settleStep(run, name);
+      }
+      const swapSteps = getSwapSteps(run, leg.id).filter(
+        ({ step }) => step.signature
+      );
+      if (
+        !leg.fromBalance &&
+        swapSteps.every(({ step }) =>
+          ["failed", "expired"].includes(step.status)
+        )
+      ) {
+        // Nothing was swapped, so the leg's DRT is still in the wallet
+        leg.status = "abandoned";
+      } else {
+        failures.push(error);
+      }
+    }
+    saveRun(run);
+  }
+
+  if (failures.length > 0) {
+    throw new Error(
+      `${failures.length} leg(s) failed after swapping: ${failures
+        .map((error) => error.message)
+        .join("; ")}`
+    );
+  }
+
+  const carryOver = legs
+    .filter((leg) => leg.status === "abandoned")
+    .reduce((sum, leg) => sum + BigInt(leg.amountIn), 0n);
+  if (carryOver > 0n) {
+    console.error(`Carrying over ${carryOver} DRT from abandoned legs`);
+  }
+  return carryOver;
+}
+
+/**
+ * Sends one swap of `amountIn` journaled as step `stepName` and returns what
+ * it added to the authority's output balance, read by `readBalance`. The
+ * step keeps the quoted output next to the received one.
+ */
+async function swapOnce(
+  withdrawAuthority,
+  run,
+  stepName,
+  { outputMint, amountIn, isSolOutput, beforeAmount, readBalance }
+) {
+  // Once fee recipients or holders have been paid the wallet balance no longer
+  // reflects the swap, so the first measurement is the one that counts.
+  const swapStep = await settleStep(run, stepName);
+  if (swapStep?.received) return BigInt(swapStep.received);
+
+  // A swap that already landed in this run is measured against the balance
+  // journaled before it was sent instead of being executed again.
+  if (swapStep && swapStep.status === "confirmed") {
+    console.error(`Swap already confirmed. TX: ${swapStep.signature}`);
+    beforeAmount = BigInt(swapStep.beforeAmount);
+  } else {
+    assertSwapsAllowed(outputMint);
+    console.error(`Initiating swap of ${amountIn} to ${outputMint}...`);
+    // A swap that failed or expired before is retried at a higher fee
+    const attempt = swapStep?.attempts || 0;
+    recordStep(run, stepName, { attempts: attempt + 1 });
+    let swapSignature;
+    try {
+      swapSignature = await performSwap(
+        withdrawAuthority,
+        MINT_ADDRESS.toBase58(),
+        outputMint,
+        amountIn,
+        isSolOutput,
+        (sent) =>
+          recordStep(run, stepName, {
+            ...sent,
+            status: "pending",
+            outputMint,
+            amountIn: amountIn.toString(),
+            beforeAmount: beforeAmount.toString(),
+          }),
+        { attempt, run }
+      );
+    } catch (error) {
+      // An unknown outcome stays pending for settleStep to resolve
+      if (error.outcome) recordStep(run, stepName, { status: error.outcome });
+      throw error;
+    }
+    recordStep(run, stepName, {
+      status: "confirmed",
+      signature: swapSignature,
+    });
+  }
+
+  const received = (await readBalance()) - beforeAmount;
+  if (received <= 0n) throw new Error("Swap failed - no tokens received");
+  // Execution quality: how far short of its quote the swap came, in bps
+  const quoted = BigInt(getStep(run, stepName)?.quotedOutAmount || 0);
+  recordStep(run, stepName, {
+    received: received.toString(),
+    shortfallBps:
+      quoted > 0n ? Number(((quoted - received) * 10000n) / quoted) : undefined,
+  });
+
+  // What the transaction itself swapped, against the quote; verification
+  // trouble is logged rather than failing a swap that already landed
+  const sent = getStep(run, stepName);
+  if (SWAP_VERIFICATION.enabled && sent?.signature && !sent.verification) {
+    try {
+      recordStep(run, stepName, {
+        verification: await verifySwap(
+          withdrawAuthority.publicKey,
+          sent,
+          outputMint
+        ),
+      });
+    } catch (error) {
+      console.error(`Could not verify swap ${sent.signature}:`, error);
+    }
+  }
+  return received;
+}
+
+/**
+ * Swaps a leg's DRT into its mint and returns the total received. When the
+ * price-impact guard calls for it the swap is split into chunks sent
+ * SWAP_GUARD.chunkIntervalMs apart. The split is journaled on the leg's swap
+ * step before anything is sent and every chunk is a step of its own, so a
+ * restarted run carries on with the chunks left.
+ */
+async function executeSwap(
+  withdrawAuthority,
+  run,
+  leg,
+  { isSolOutput, beforeAmount, readBalance }
+) {
+  const stepName = `swap:${leg.id}`;
+  const amountIn = BigInt(leg.amountIn);
+  let step = getStep(run, stepName);
+  if (!step?.chunks) {
+    const guard = await assessSwap(MINT_ADDRESS.toBase58(), leg.mint, amountIn);
+    step = recordStep(run, stepName, {
+      guard,
+      chunks: splitAmount(amountIn, guard.chunks).map(String),
+    });
+  }
+
+  const chunks = step.chunks.map(BigInt);
+  const swapOptions = { outputMint: leg.mint, isSolOutput, readBalance };
+  if (chunks.length === 1) {
+    return swapOnce(withdrawAuthority, run, stepName, {
+      ...swapOptions,
+      amountIn,
+      beforeAmount,
+    });
+  }
+
+  let received = 0n;
+  let lastChunkAt = null;
+  for (const [index, chunkAmount] of chunks.entries()) {
+    const chunkName = `${stepName}:${index}`;
+    const previous =
+      index > 0 ? getStep(run, `${stepName}:${index - 1}`) : null;
+    const lastAt = previous ? Date.parse(previous.updatedAt) : lastChunkAt;
+    const wait = lastAt ? lastAt + SWAP_GUARD.chunkIntervalMs - Date.now() : 0;
+    if (!getStep(run, chunkName)?.received && wait > 0) {
+      console.error(
+        `Waiting ${wait}ms before swap chunk ${index + 1}/${chunks.length}`
+      );
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+    console.error(`Swap chunk ${index + 1}/${chunks.length}: ${chunkAmount}`);
+    received += await swapOnce(withdrawAuthority, run, chunkName, {
+      ...swapOptions,
+      amountIn: chunkAmount,
+      beforeAmount: index === 0 ? beforeAmount : await readBalance(),
+    });
+    lastChunkAt = Date.now();
+  }
+  recordStep(run, stepName, {
+    status: "confirmed",
+    received: received.toString(),
+  });
+  return received;
+}
+
+/**
+ * Reads the authority's balance of `outputMint`: lamports for SOL, its ATA's
+ * amount otherwise.
+ */
+function balanceReader(withdrawAuthority, outputMint, tokenProgram) {
+  return async () => {
+    if (isNativeSol(outputMint)) {
+      return BigInt(await connection.getBalance(withdrawAuthority.publicKey));
+    }
+    const { amount } = await getSplBalance(
+      new PublicKey(outputMint),
+      withdrawAuthority.publicKey,
+      withdrawAuthority,
+      tokenProgram
+    );
+    return amount;
+  };
+}
+
+async function distributeLeg(withdrawAuthority, snapshot, leg, run) {
+  const outputMint = leg.mint;
+  const withdrawnAmount = BigInt(leg.amountIn);
+  const isSolOutput = isNativeSol(outputMint);
+  const outputMintPk = new PublicKey(outputMint);
+  const tokenProgram = isSolOutput ? null : await getTokenProgram(outputMint);
+
   let beforeAmount = 0n;
   let sourceAtaPubkey = null;
 
@@ -586,7 +1319,8 @@ async function distributeRewards(withdrawAuthority, holders, withdrawnAmount) {
       const { ataPubkey, amount } = await getSplBalance(
         outputMintPk,
         withdrawAuthority.publicKey,
-        withdrawAuthority
+        withdrawAuthority,
+        tokenProgram
       );
       sourceAtaPubkey = ataPubkey;
       beforeAmount = amount;
@@ -601,160 +1335,396 @@ async function distributeRewards(withdrawAuthority, holders, withdrawnAmount) {
         outputMintPk,
         withdrawAuthority.publicKey,
         false,
-        "confirmed"
+        "confirmed",
+        undefined,
+        tokenProgram
       );
       sourceAtaPubkey = ata.address;
       beforeAmount = 0n; // Assume 0 if it didn’t exist before
     }
   }
 
-  console.log(`Initiating swap to ${outputMint}...`);
-  await performJupiterSwap(
+  const readBalance = balanceReader(
     withdrawAuthority,
-    MINT_ADDRESS.toBase58(),
     outputMint,
-    withdrawnAmount,
-    isSolOutput,
-    3
+    tokenProgram
   );
+  // Legs paid from a balance the authority already holds skip the swap
+  const tokensReceived = leg.fromBalance
+    ? BigInt(leg.amountOut)
+    : await executeSwap(withdrawAuthority, run, leg, {
+        isSolOutput,
+        beforeAmount,
+        readBalance,
+      });
+  console.error(`Received ${tokensReceived} of mint ${outputMint}`);
 
-  let afterAmount = 0n;
-  if (isSolOutput) {
-    afterAmount = BigInt(
-      await connection.getBalance(withdrawAuthority.publicKey)
-    );
-  } else {
-    const { amount } = await getSplBalance(
-      outputMintPk,
-      withdrawAuthority.publicKey,
-      withdrawAuthority
-    );
-    afterAmount = amount;
+  const { toDistribute, recipients } = splitReceived(tokensReceived);
+  const feeRecipients = {};
+  for (const recipient of recipients) {
+    const entry = {
+      wallet: recipient.wallet.toBase58(),
+      bps: recipient.bps,
+      amount: recipient.amount.toString(),
+    };
+    if (recipient.amount > 0n) {
+      entry.signature = await payFeeRecipient(
+        withdrawAuthority,
+        recipient,
+        leg,
+        run,
+        sourceAtaPubkey,
+        tokenProgram
+      );
+    }
+    feeRecipients[recipient.name] = entry;
   }
 
-  const tokensReceived = afterAmount - beforeAmount;
-  if (tokensReceived <= 0n) throw new Error("Swap failed - no tokens received");
-  console.log(`Received ${tokensReceived} of mint ${outputMint}`);
+  if (DISTRIBUTION_MODE === "claim") {
+    leg.mode = "claim";
+    console.error(
+      `Crediting ${toDistribute} of mint ${outputMint} as claims...`
+    );
+    const result = await accrueClaims(snapshot, toDistribute, outputMint, {
+      run,
+      leg,
+    });
+    return { ...result, recipients: feeRecipients };
+  }
 
-  const toDistribute = (tokensReceived * 80n) / 100n;
-  const toTreasury = (tokensReceived * 17n) / 100n; // 17% to treasury
-  const toDevWallet = (tokensReceived * 3n) / 100n; // 3% to dev wallet
-  // Transfer to treasury
-  console.log(
-    `Sending ${toTreasury} of mint ${outputMint} to treasury (${treasuryWalletPk.toBase58()})...`
+  // Distribute to holders
+  console.error(
+    `Distributing ${toDistribute} of mint ${outputMint} to holders...`
   );
-  const treasuryTx = new Transaction();
-  const { blockhash, lastValidBlockHeight } =
-    await connection.getLatestBlockhash("confirmed");
-  treasuryTx.recentBlockhash = blockhash;
-  treasuryTx.lastValidBlockHeight = lastValidBlockHeight;
-  treasuryTx.feePayer = withdrawAuthority.publicKey;
+  const result = await distributeToHolders(
+    withdrawAuthority,
+    snapshot,
+    toDistribute,
+    outputMint,
+    isSolOutput,
+    sourceAtaPubkey,
+    { run, payoutKey: leg.id }
+  );
+  return { ...result, recipients: feeRecipients };
+}
 
-  if (isSolOutput) {
-    treasuryTx.add(
+/**
+ * Runs the pipeline from swap quote to payout batching without sending
+ * anything. Swaps, fee recipient transfers and every batch are only simulated,
+ * and each decision is recorded in `plan`.
+ */
+async function planDistribution(
+  withdrawAuthority,
+  snapshot,
+  withdrawnAmount,
+  plan
+) {
+  plan.inputAmount = withdrawnAmount.toString();
+  plan.eligibleSupply = snapshot.eligibleSupply.toString();
+  plan.excluded = snapshot.excluded;
+  for (const holder of snapshot.excluded) {
+    recordHolder(plan, {
+      address: holder.address,
+      tokenAccount: holder.tokenAccount,
+      balance: holder.amount,
+      status: "excluded",
+      reason: `${holder.rule}: ${holder.reason}`,
+    });
+  }
+
+  const legs = plan.fromBalance
+    ? [balanceLeg(plan.outputMint, withdrawnAmount)]
+    : plan.outputMint
+    ? [
+        {
+          id: "leg0",
+          mint: plan.outputMint,
+          group: "all",
+          weightBps: 10000,
+          amountIn: withdrawnAmount.toString(),
+          selection: { strategy: "override", mint: plan.outputMint },
+        },
+      ]
+    : await prepareLegs(null, withdrawnAmount, snapshot, { dryRun: true });
+
+  const report = { legs: {} };
+  for (const leg of legs) {
+    const { payouts } = await planLeg(
+      withdrawAuthority,
+      legSnapshot(snapshot, leg),
+      leg,
+      plan
+    );
+    const legPlan = plan.legs.find((l) => l.id === leg.id);
+    report.legs[leg.id] = {
+      mint: leg.mint,
+      recipients: legPlan.recipients || {},
+      payouts,
+    };
+  }
+  plan.holderRewards = summarizeHolderRewards(report);
+  plan.recipientRewards = summarizeRecipientRewards(report);
+  return plan;
+}
+
+/**
+ * Simulates one fee recipient's transfer and records it in the plan.
+ */
+async function planFeeRecipient(
+  withdrawAuthority,
+  recipient,
+  outputMintPk,
+  sourceAtaPubkey,
+  tokenProgram,
+  plan
+) {
+  const entry = {
+    wallet: recipient.wallet.toBase58(),
+    bps: recipient.bps,
+    amount: recipient.amount.toString(),
+  };
+  if (recipient.amount === 0n) return entry;
+
+  const instructions = [];
+  if (isNativeSol(outputMintPk.toBase58())) {
+    instructions.push(
       SystemProgram.transfer({
         fromPubkey: withdrawAuthority.publicKey,
-        toPubkey: treasuryWalletPk,
-        lamports: Number(toTreasury),
+        toPubkey: recipient.wallet,
+        lamports: Number(recipient.amount),
       })
     );
   } else {
-    const treasuryAta = await getOrCreateAssociatedTokenAccount(
-      connection,
-      withdrawAuthority,
+    const recipientAta = getAssociatedTokenAddressSync(
       outputMintPk,
-      treasuryWalletPk,
+      recipient.wallet,
       false,
-      "confirmed"
+      tokenProgram
     );
-    treasuryTx.add(
+    if (!(await connection.getAccountInfo(recipientAta))) {
+      entry.createsAta = true;
+      const rentLamports = await connection.getMinimumBalanceForRentExemption(
+        ACCOUNT_SIZE
+      );
+      plan.ataCreations.push({
+        owner: entry.wallet,
+        mint: outputMintPk.toBase58(),
+        ata: recipientAta.toBase58(),
+        rentLamports,
+      });
+      plan.totals.rentLamports += rentLamports;
+      instructions.push(
+        createAssociatedTokenAccountIdempotentInstruction(
+          withdrawAuthority.publicKey,
+          recipientAta,
+          recipient.wallet,
+          outputMintPk,
+          tokenProgram
+        )
+      );
+    }
+    instructions.push(
       createTransferInstruction(
         sourceAtaPubkey,
-        treasuryAta.address,
+        recipientAta,
         withdrawAuthority.publicKey,
-        Number(toTreasury),
+        Number(recipient.amount),
         [],
-        TOKEN_PROGRAM_ID
+        tokenProgram
       )
     );
   }
-
-  const treasurySignature = await sendAndConfirmTransaction(
-    connection,
-    treasuryTx,
-    [withdrawAuthority],
-    {
-      commitment: "confirmed",
-      maxRetries: 10,
-      skipPreflight: false,
-      preflightCommitment: "confirmed",
-    }
+  const fees = await applyFeePolicy(withdrawAuthority.publicKey, instructions, {
+    strict: false,
+  });
+  entry.simulation = fees.simulation;
+  entry.estimatedFeeLamports = estimateFeeLamports(
+    fees.microLamports,
+    fees.computeUnits
   );
-  console.log(`Treasury transfer completed. TX: ${treasurySignature}`);
-
-  // Transfer to dev wallet
-  // console.log(
-  //   `Sending ${toDevWallet} of mint ${outputMint} to dev wallet (${devWalletPk.toBase58()})...`
-  // );
-  // const devWalletTx = new Transaction();
-  // devWalletTx.recentBlockhash = blockhash;
-  // devWalletTx.lastValidBlockHeight = lastValidBlockHeight;
-  // devWalletTx.feePayer = withdrawAuthority.publicKey;
-
-  // if (isSolOutput) {
-  //   devWalletTx.add(
-  //     SystemProgram.transfer({
-  //       fromPubkey: withdrawAuthority.publicKey,
-  //       toPubkey: devWalletPk,
-  //       lamports: Number(toDevWallet),
-  //     })
-  //   );
-  // } else {
-  //   const devWalletAta = await getOrCreateAssociatedTokenAccount(
-  //     connection,
-  //     withdrawAuthority,
-  //     outputMintPk,
-  //     devWalletPk,
-  //     false,
-  //     "confirmed"
-  //   );
-  //   devWalletTx.add(
-  //     createTransferInstruction(
-  //       sourceAtaPubkey,
-  //       devWalletAta.address,
-  //       withdrawAuthority.publicKey,
-  //       Number(toDevWallet),
-  //       [],
-  //       TOKEN_PROGRAM_ID
-  //     )
-  //   );
-  // }
-
-  // const devWalletSignature = await sendAndConfirmTransaction(
-  //   connection,
-  //   devWalletTx,
-  //   [withdrawAuthority],
-  //   {
-  //     commitment: "confirmed",
-  //     maxRetries: 10,
-  //     skipPreflight: false,
-  //     preflightCommitment: "confirmed",
-  //   }
-  // );
-  // console.log(`Dev wallet transfer completed. TX: ${devWalletSignature}`);
+  plan.totals.estimatedFeeLamports += entry.estimatedFeeLamports;
+  return entry;
+}
 
-  // Distribute to holders
-  console.log(
-    `Distributing ${toDistribute} of mint ${outputMint} to holders...`
-  );
-  await distributeToHolders(
+async function planLeg(withdrawAuthority, snapshot, leg, plan) {
+  const outputMint = leg.mint;
+  const isSolOutput = isNativeSol(outputMint);
+  const outputMintPk = new PublicKey(outputMint);
+  const tokenProgram = isSolOutput ? null : await getTokenProgram(outputMint);
+  const sourceAtaPubkey = isSolOutput
+    ? null
+    : getAssociatedTokenAddressSync(
+        outputMintPk,
+        withdrawAuthority.publicKey,
+        false,
+        tokenProgram
+      );
+  const legPlan = {
+    id: leg.id,
+    mint: outputMint,
+    weightBps: leg.weightBps,
+    amountIn: leg.amountIn,
+    amountOut: leg.amountOut,
+    fromBalance: leg.fromBalance,
+    group: leg.group,
+    selection: leg.selection,
+  };
+  plan.legs.push(legPlan);
+
+  // Everything downstream is planned against the quoted output amount, or
+  // the balance a leg is paid from
+  const tokensReceived = leg.fromBalance
+    ? BigInt(leg.amountOut)
+    : await planSwap(withdrawAuthority, leg, legPlan, plan);
+  const { toDistribute, recipients } = splitReceived(tokensReceived);
+  legPlan.recipients = {};
+  for (const recipient of recipients) {
+    legPlan.recipients[recipient.name] = await planFeeRecipient(
+      withdrawAuthority,
+      recipient,
+      outputMintPk,
+      sourceAtaPubkey,
+      tokenProgram,
+      plan
+    );
+  }
+  legPlan.holderPool = toDistribute.toString();
+
+  if (DISTRIBUTION_MODE === "claim") {
+    return accrueClaims(snapshot, toDistribute, outputMint, { leg, plan });
+  }
+  return distributeToHolders(
     withdrawAuthority,
-    holders,
+    snapshot,
     toDistribute,
     outputMint,
     isSolOutput,
-    sourceAtaPubkey
+    sourceAtaPubkey,
+    { plan, payoutKey: leg.id }
+  );
+}
+
+/**
+ * Quotes and simulates a leg's swap into its plan entry and returns the
+ * quoted output.
+ */
+async function planSwap(withdrawAuthority, leg, legPlan, plan) {
+  const outputMint = leg.mint;
+  const withdrawnAmount = BigInt(leg.amountIn);
+  const isSolOutput = isNativeSol(outputMint);
+  console.error(`Quoting swap of ${withdrawnAmount} to ${outputMint}...`);
+  const quotes = await getSwapQuotes(
+    MINT_ADDRESS.toBase58(),
+    outputMint,
+    withdrawnAmount
+  );
+  // Planned against the best quote whose swap builds, as a run would swap
+  let quote = null;
+  let fees = null;
+  for (const candidate of quotes) {
+    try {
+      ({ fees } = await buildSwap(withdrawAuthority, candidate, isSolOutput, {
+        strict: false,
+      }));
+      quote = candidate;
+      break;
+    } catch (error) {
+      console.error(`Swap via ${candidate.router} failed: ${error.message}`);
+    }
+  }
+  if (!quote)
+    throw new Error(`No router could build the swap to ${outputMint}`);
+  const guard = await assessSwap(
+    MINT_ADDRESS.toBase58(),
+    outputMint,
+    withdrawnAmount,
+    quote
+  );
+  legPlan.swap = {
+    guard,
+    chunks: splitAmount(withdrawnAmount, guard.chunks).map(String),
+    router: quote.router,
+    quotes: quotes.map(({ router, outAmount }) => ({ router, outAmount })),
+    inAmount: quote.inAmount,
+    outAmount: quote.outAmount,
+    minOutAmount: quote.minOutAmount,
+    priceImpactPct: quote.priceImpactPct,
+    route: quote.route,
+    computeUnits: fees.computeUnits,
+    microLamports: fees.microLamports,
+    simulation: fees.simulation,
+    estimatedFeeLamports: estimateFeeLamports(
+      fees.microLamports,
+      fees.computeUnits
+    ),
+  };
+  plan.totals.estimatedFeeLamports += legPlan.swap.estimatedFeeLamports;
+  return BigInt(quote.outAmount);
+}
+
+/**
+ * A leg paying every eligible holder `amount` of `mint` the authority
+ * already holds, with no swap.
+ */
+function balanceLeg(mint, amount) {
+  return {
+    id: "leg0",
+    mint,
+    group: "all",
+    weightBps: 10000,
+    amountIn: "0",
+    amountOut: amount.toString(),
+    fromBalance: true,
+    status: "pending",
+    selection: { strategy: "override", mint, reason: "existing balance" },
+  };
+}
+
+/**
+ * Pays `amount` of `mint` out of the authority's balance to the snapshot's
+ * holders and fee recipients, journaled in `run` like a swapped leg. Returns
+ * what is left to carry over, as distributeRewards does.
+ */
+async function distributeBalance(
+  withdrawAuthority,
+  snapshot,
+  mint,
+  amount,
+  run
+) {
+  if (!run.legs) {
+    run.legs = [balanceLeg(mint, amount)];
+    saveRun(run);
+  }
+  return distributeRewards(withdrawAuthority, snapshot, 0n, run);
+}
+
+/**
+ * Swaps `amountIn` DRT from the authority into `outputMint` on its own,
+ * outside any distribution, behind the same price-impact guard, pauses and
+ * verification as a leg's swap. It is journaled as `run`'s "swap:manual"
+ * step, so a resumed run settles a swap already sent instead of sending it
+ * again. Returns the amount received.
+ */
+async function swapFees(withdrawAuthority, outputMint, amountIn, run) {
+  const isSolOutput = isNativeSol(outputMint);
+  const tokenProgram = isSolOutput ? null : await getTokenProgram(outputMint);
+  const readBalance = balanceReader(
+    withdrawAuthority,
+    outputMint,
+    tokenProgram
   );
+  const leg = { id: "manual", mint: outputMint, amountIn: amountIn.toString() };
+  return executeSwap(withdrawAuthority, run, leg, {
+    isSolOutput,
+    beforeAmount: await readBalance(),
+    readBalance,
+  });
 }
 
-module.exports = { distributeRewards };
+module.exports = {
+  distributeRewards,
+  distributeBalance,
+  swapFees,
+  planDistribution,
+};
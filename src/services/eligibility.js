@@ -0,0 +1,117 @@
+const { connection, PublicKey } = require("../utils/solana");
+const {
+  EXCLUSION_RULES,
+  FEE_SPLIT,
+  TREASURY_WALLET,
+} = require("../config/constants");
+
+/**
+ * Applies the configured exclusion rules to a `getTokenHolders` snapshot.
+ *
+ * Excluded balances (pools, treasury, burn addresses, program-owned accounts)
+ * neither receive rewards nor count towards the supply shares are measured
+ * against. Returns the eligible holders, their combined balance, and an
+ * audit list of every excluded account with the rule that excluded it.
+ */
+async function applyExclusionRules(
+  holders,
+  withdrawAuthorityPk,
+  rules = EXCLUSION_RULES
+) {
+  const excludedOwners = new Map();
+  const addOwner = (address, reason) => {
+    if (address) excludedOwners.set(address.toString(), reason);
+  };
+  addOwner(TREASURY_WALLET, "treasury wallet");
+  addOwner(withdrawAuthorityPk, "withdraw authority");
+  for (const { name, wallet } of FEE_SPLIT.recipients) {
+    addOwner(wallet, `fee recipient ${name}`);
+  }
+  for (const { address, reason } of rules.excludedOwners) {
+    addOwner(address, reason);
+  }
+  const ammVaults = new Map(
+    rules.ammVaults.map(({ address, reason }) => [address, reason])
+  );
+  const ownerPrograms = new Set(rules.excludedOwnerPrograms);
+
+  const programOwners =
+    ownerPrograms.size > 0 ? await getOwnerPrograms(holders) : new Map();
+
+  const eligible = [];
+  const excluded = [];
+  for (const holder of holders) {
+    const rule = matchRule(holder, {
+      excludedOwners,
+      ammVaults,
+      ownerPrograms,
+      programOwners,
+      excludeOffCurveOwners: rules.excludeOffCurveOwners,
+    });
+    if (rule) {
+      excluded.push({ ...holder, ...rule });
+    } else {
+      eligible.push(holder);
+    }
+  }
+
+  const eligibleSupply = eligible.reduce(
+    (sum, holder) => sum + BigInt(holder.amount),
+    0n
+  );
+  const excludedSupply = excluded.reduce(
+    (sum, holder) => sum + BigInt(holder.amount),
+    0n
+  );
+  console.error(
+    `Excluded ${excluded.length} accounts holding ${excludedSupply}; eligible supply is ${eligibleSupply} across ${eligible.length} accounts`
+  );
+
+  return { holders: eligible, eligibleSupply, excluded };
+}
+
+function matchRule(holder, context) {
+  const ownerReason = context.excludedOwners.get(holder.address);
+  if (ownerReason) return { rule: "owner", reason: ownerReason };
+
+  const vaultReason = context.ammVaults.get(holder.tokenAccount);
+  if (vaultReason) return { rule: "amm-vault", reason: vaultReason };
+
+  const ownerProgram = context.programOwners.get(holder.address);
+  if (ownerProgram && context.ownerPrograms.has(ownerProgram)) {
+    return {
+      rule: "owner-program",
+      reason: `owner account belongs to program ${ownerProgram}`,
+    };
+  }
+
+  if (
+    context.excludeOffCurveOwners &&
+    !PublicKey.isOnCurve(new PublicKey(holder.address))
+  ) {
+    return { rule: "off-curve", reason: "owner is not an Ed25519 key" };
+  }
+  return null;
+}
+
+/**
+ * Maps each distinct holder owner to the program that owns its account, for
+ * owners that have an account at all.
+ */
+async function getOwnerPrograms(holders) {
+  const owners = [...new Set(holders.map((h) => h.address))];
+  const programs = new Map();
+  for (let i = 0; i < owners.length; i += 100) {
+    const chunk = owners.slice(i, i + 100);
+    const infos = await connection.getMultipleAccountsInfo(
+      chunk.map((owner) => new PublicKey(owner)),
+      "confirmed"
+    );
+    infos.forEach((info, j) => {
+      if (info) programs.set(chunk[j], info.owner.toBase58());
+    });
+  }
+  return programs;
+}
+
+module.exports = { applyExclusionRules };
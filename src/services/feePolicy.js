@@ -0,0 +1,157 @@
+const { ComputeBudgetProgram } = require("@solana/web3.js");
+const { connection, buildVersionedTransaction } = require("../utils/solana");
+const { FEE_POLICY } = require("../config/constants");
+
+// One policy for every transaction the bot sends (harvest, withdraw, swap,
+// fee recipient and holder payouts): compute limits come from simulation,
+// prices from recent fees paid on the same accounts, bounded per
+// transaction and per run.
+
+const MAX_COMPUTE_UNITS = 1_400_000;
+// getRecentPrioritizationFees accepts at most this many accounts
+const MAX_FEE_ACCOUNTS = 128;
+
+function isComputeBudget(instruction) {
+  return instruction.programId.equals(ComputeBudgetProgram.programId);
+}
+
+function percentile(values, pct) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.ceil((pct / 100) * sorted.length) - 1;
+  return sorted[Math.min(Math.max(index, 0), sorted.length - 1)];
+}
+
+/**
+ * Simulates the instructions with the maximum compute limit and returns the
+ * units they used plus FEE_POLICY.computeMarginPct, with a summary of the
+ * simulation. When it fails this throws, since sending would fail the same
+ * way, unless `strict` is off (plan mode), which falls back to
+ * FEE_POLICY.defaultComputeUnits.
+ */
+async function estimateComputeUnits(
+  payerKey,
+  instructions,
+  lookupTables = [],
+  strict = true
+) {
+  const transaction = buildVersionedTransaction(
+    payerKey,
+    [
+      ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNITS }),
+      ...instructions,
+    ],
+    lookupTables
+  );
+  const { value } = await connection.simulateTransaction(transaction, {
+    sigVerify: false,
+    replaceRecentBlockhash: true,
+  });
+  const simulation = {
+    err: value.err,
+    unitsConsumed: value.unitsConsumed,
+    logs: (value.logs || []).slice(-5),
+  };
+  if (value.err && strict) {
+    const error = new Error(
+      `Simulation failed: ${JSON.stringify(value.err)}\n${simulation.logs.join(
+        "\n"
+      )}`
+    );
+    error.simulation = simulation;
+    throw error;
+  }
+  const consumed =
+    (!value.err && value.unitsConsumed) || FEE_POLICY.defaultComputeUnits;
+  const computeUnits = Math.min(
+    Math.ceil((consumed * (100 + FEE_POLICY.computeMarginPct)) / 100),
+    MAX_COMPUTE_UNITS
+  );
+  return { computeUnits, simulation };
+}
+
+/**
+ * Compute unit price for a transaction writing `accounts`: the configured
+ * percentile of recent fees paid on them, raised by FEE_POLICY.escalationPct
+ * for every earlier `attempt`, within the min/max price bounds.
+ */
+async function getPriorityFee(accounts, attempt = 0) {
+  const recentFees = await connection.getRecentPrioritizationFees({
+    lockedWritableAccounts: accounts.slice(0, MAX_FEE_ACCOUNTS),
+  });
+  const base = Math.max(
+    percentile(
+      (recentFees || []).map((f) => f.prioritizationFee),
+      FEE_POLICY.percentile
+    ),
+    FEE_POLICY.minMicroLamports
+  );
+  const escalated = Math.ceil(
+    base * ((100 + FEE_POLICY.escalationPct) / 100) ** attempt
+  );
+  return Math.min(escalated, FEE_POLICY.maxMicroLamports);
+}
+
+function remainingBudget(run) {
+  if (!run) return Infinity;
+  return FEE_POLICY.runBudgetLamports - (run.priorityFeesLamports || 0);
+}
+
+/**
+ * Sizes and prices a transaction under the fee policy and returns its
+ * instructions with the compute budget instructions in front (any existing
+ * ones are replaced). The priority fee never exceeds
+ * FEE_POLICY.maxFeeLamports or what is left of the run's budget; once the
+ * budget is spent, transactions go out without a priority fee. Pricing
+ * charges nothing: the sender charges `priorityFeeLamports` to the run with
+ * `chargePriorityFee` once the transaction lands, so retries that were never
+ * sent cost no budget. See `estimateComputeUnits` for `strict`.
+ */
+async function applyFeePolicy(
+  payerKey,
+  instructions,
+  { lookupTables = [], attempt = 0, run = null, strict = true } = {}
+) {
+  const baseInstructions = instructions.filter((ix) => !isComputeBudget(ix));
+  const { computeUnits, simulation } = await estimateComputeUnits(
+    payerKey,
+    baseInstructions,
+    lookupTables,
+    strict
+  );
+
+  const writable = new Map();
+  for (const instruction of baseInstructions) {
+    for (const { pubkey, isWritable } of instruction.keys) {
+      if (isWritable) writable.set(pubkey.toBase58(), pubkey);
+    }
+  }
+  const wanted = await getPriorityFee([...writable.values()], attempt);
+  const affordable = Math.min(FEE_POLICY.maxFeeLamports, remainingBudget(run));
+  const microLamports = Math.max(
+    Math.min(wanted, Math.floor((affordable * 1_000_000) / computeUnits)),
+    0
+  );
+  if (microLamports < wanted) {
+    console.error(
+      `Priority fee capped at ${microLamports} µLamports/CU (wanted ${wanted})`
+    );
+  }
+
+  const priorityFeeLamports = Math.ceil(
+    (microLamports * computeUnits) / 1_000_000
+  );
+  return {
+    instructions: [
+      ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnits }),
+      ComputeBudgetProgram.setComputeUnitPrice({ microLamports }),
+      ...baseInstructions,
+    ],
+    computeUnits,
+    microLamports,
+    priorityFeeLamports,
+    simulation,
+  };
+}
+
+module.exports = { applyFeePolicy, getPriorityFee, estimateComputeUnits };
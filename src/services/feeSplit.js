@@ -0,0 +1,46 @@
+const { PublicKey } = require("../utils/solana");
+const { allocate } = require("./allocation");
+const { checkFeeSplit } = require("../config/schema");
+const { FEE_SPLIT } = require("../config/constants");
+
+/**
+ * Checks the fee split config and returns its recipients with parsed wallet
+ * keys. The loaded config has passed these checks already; they are repeated
+ * for a split passed in directly.
+ */
+function validateFeeSplit(config = FEE_SPLIT) {
+  checkFeeSplit(config);
+  return config.recipients.map(({ name, wallet, bps }) => {
+    let walletPk;
+    try {
+      walletPk = new PublicKey(wallet);
+    } catch (error) {
+      throw new Error(`Invalid wallet "${wallet}" for fee recipient ${name}`);
+    }
+    return { name, wallet: walletPk, bps };
+  });
+}
+
+/**
+ * Splits a swap's output between the fee recipients and the holder pool by
+ * weight. The parts sum to exactly `tokensReceived`.
+ */
+function splitReceived(tokensReceived, config = FEE_SPLIT) {
+  const recipients = validateFeeSplit(config);
+  const { entries } = allocate({
+    holders: [
+      { address: "holders", amount: BigInt(config.holderPoolBps) },
+      ...recipients.map((r) => ({ address: r.name, amount: BigInt(r.bps) })),
+    ],
+    amount: tokensReceived,
+  });
+  return {
+    toDistribute: entries[0].share,
+    recipients: recipients.map((recipient, i) => ({
+      ...recipient,
+      amount: entries[i + 1].share,
+    })),
+  };
+}
+
+module.exports = { validateFeeSplit, splitReceived };
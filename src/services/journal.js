@@ -0,0 +1,429 @@
+const fs = require("fs");
+const {
+  dataPath,
+  readJson,
+  writeJsonAtomic,
+  readState,
+  writeState,
+} = require("../utils/store");
+const {
+  resolveSignature,
+  resolveSignatures,
+  signAndSend,
+} = require("../utils/solana");
+
+const RUNS_DIR = dataPath("runs");
+// state.json entry naming the run in progress and the latest finished one,
+// so neither lookup reads every run ever written
+const RUN_INDEX_KEY = "runs";
+
+// Every journal helper accepts a null run so callers outside a distribution
+// cycle can share the same code path without persisting anything.
+
+function runPath(runId) {
+  return `${RUNS_DIR}/${runId}.json`;
+}
+
+function snapshotPath(runId) {
+  return `${RUNS_DIR}/${runId}.holders.json`;
+}
+
+function reportPath(runId) {
+  return `${RUNS_DIR}/${runId}.report.json`;
+}
+
+function listRunIds() {
+  if (!fs.existsSync(RUNS_DIR)) return [];
+  return (
+    fs
+      .readdirSync(RUNS_DIR)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => file.slice(0, -".json".length))
+      // Snapshots and reports live next to the run as <runId>.<kind>.json
+      .filter((name) => !name.includes("."))
+      .sort()
+  );
+}
+
+function loadRun(runId) {
+  return readJson(runPath(runId));
+}
+
+function saveRun(run) {
+  if (!run) return;
+  run.updatedAt = new Date().toISOString();
+  writeJsonAtomic(runPath(run.id), run);
+}
+
+function isFinished(run) {
+  return run.status !== "in_progress";
+}
+
+/**
+ * Returns { incomplete, lastFinished } run ids. Journals from before the
+ * index are indexed once from the run files. A run that finished without
+ * the index catching up (a crash in between) is moved over here.
+ */
+function readRunIndex() {
+  let index = readState(RUN_INDEX_KEY);
+  if (!index) {
+    const runs = listRunIds().map(loadRun).filter(Boolean).reverse();
+    index = {
+      incomplete: runs.find((run) => !isFinished(run))?.id || null,
+      lastFinished: runs.find(isFinished)?.id || null,
+    };
+    writeState(RUN_INDEX_KEY, index);
+  }
+  if (index.incomplete) {
+    const run = loadRun(index.incomplete);
+    if (!run || isFinished(run)) {
+      index = {
+        incomplete: null,
+        lastFinished: run ? run.id : index.lastFinished,
+      };
+      writeState(RUN_INDEX_KEY, index);
+    }
+  }
+  return index;
+}
+
+/**
+ * Returns the run that never reached a final status, if any. Only one is
+ * in progress at a time.
+ */
+function findIncompleteRun() {
+  const { incomplete } = readRunIndex();
+  return incomplete ? loadRun(incomplete) : null;
+}
+
+/**
+ * Returns what the latest finished run (completed or accumulated) left
+ * undistributed.
+ */
+function getCarryOver() {
+  const { lastFinished } = readRunIndex();
+  const lastRun = lastFinished ? loadRun(lastFinished) : null;
+  return BigInt(lastRun?.carryOver || "0");
+}
+
+function startRun() {
+  const now = new Date();
+  const run = {
+    id: now.toISOString().replace(/[:.]/g, "-"),
+    status: "in_progress",
+    startedAt: now.toISOString(),
+    attempts: 1,
+    carriedIn: getCarryOver().toString(),
+    steps: {},
+    batches: [],
+    paid: {},
+  };
+  saveRun(run);
+  writeState(RUN_INDEX_KEY, { ...readRunIndex(), incomplete: run.id });
+  return run;
+}
+
+function resumeRun(run) {
+  run.attempts = (run.attempts || 1) + 1;
+  saveRun(run);
+  return run;
+}
+
+function finishRun(run, status, carryOver = 0n) {
+  if (!run) return;
+  run.status = status;
+  run.carryOver = carryOver.toString();
+  run.finishedAt = new Date().toISOString();
+  saveRun(run);
+  // Only one run is in progress at a time, so this was it
+  writeState(RUN_INDEX_KEY, { incomplete: null, lastFinished: run.id });
+}
+
+function saveHolderSnapshot(run, snapshot) {
+  if (!run) return;
+  writeJsonAtomic(snapshotPath(run.id), snapshot);
+}
+
+function loadHolderSnapshot(run) {
+  return readJson(snapshotPath(run.id), {
+    holders: [],
+    eligibleSupply: "0",
+    excluded: [],
+  });
+}
+
+/**
+ * Stores what each fee recipient and holder received in one leg. Written once
+ * per leg, so a resumed run can rewrite it without double counting.
+ */
+function saveLegPayouts(run, leg, payouts, recipients = {}) {
+  if (!run) return;
+  const report = readJson(reportPath(run.id), { legs: {} });
+  report.legs[leg.id] = { mint: leg.mint, recipients, payouts };
+  report.recipients = summarizeRecipientRewards(report);
+  writeJsonAtomic(reportPath(run.id), report);
+}
+
+/**
+ * Stores the shares a leg allocated (token account -> amount) before any of
+ * them is sent, so reconciliation can tell what every holder was owed. A
+ * resumed run keeps the allocation its first attempt made.
+ */
+function saveAllocation(run, payoutKey, mint, shares) {
+  if (!run) return;
+  const report = readJson(reportPath(run.id), { legs: {} });
+  report.allocations = report.allocations || {};
+  if (report.allocations[payoutKey]) return;
+  report.allocations[payoutKey] = { mint, shares };
+  writeJsonAtomic(reportPath(run.id), report);
+}
+
+/**
+ * Records how recipients that are not plain wallets were handled under
+ * OWNER_POLICIES (token account -> { owner, ownerClass, policy, ... }).
+ * Decisions of a resumed attempt replace those of earlier ones.
+ */
+function saveOwnerDecisions(run, payoutKey, mint, decisions) {
+  if (!run || Object.keys(decisions).length === 0) return;
+  const report = readJson(reportPath(run.id), { legs: {} });
+  report.ownerPolicies = report.ownerPolicies || {};
+  report.ownerPolicies[payoutKey] = {
+    mint,
+    decisions: {
+      ...report.ownerPolicies[payoutKey]?.decisions,
+      ...decisions,
+    },
+  };
+  writeJsonAtomic(reportPath(run.id), report);
+}
+
+function saveReconciliation(runId, reconciliation) {
+  writeJsonAtomic(`${RUNS_DIR}/${runId}.reconciliation.json`, reconciliation);
+}
+
+function loadRunReport(runId) {
+  return readJson(reportPath(runId), { legs: {} });
+}
+
+/**
+ * Folds a run report into holder address -> { mint: total received }.
+ */
+function summarizeHolderRewards(report) {
+  const totals = {};
+  for (const { mint, payouts } of Object.values(report.legs)) {
+    for (const [address, amount] of Object.entries(payouts)) {
+      totals[address] = totals[address] || {};
+      totals[address][mint] = (
+        BigInt(totals[address][mint] || 0) + BigInt(amount)
+      ).toString();
+    }
+  }
+  return totals;
+}
+
+/**
+ * Folds a run report into fee recipient name -> { mint: total received }.
+ */
+function summarizeRecipientRewards(report) {
+  const totals = {};
+  for (const { mint, recipients = {} } of Object.values(report.legs)) {
+    for (const [name, { amount }] of Object.entries(recipients)) {
+      totals[name] = totals[name] || {};
+      totals[name][mint] = (
+        BigInt(totals[name][mint] || 0) + BigInt(amount)
+      ).toString();
+    }
+  }
+  return totals;
+}
+
+function getStep(run, name) {
+  return run ? run.steps[name] : undefined;
+}
+
+function recordStep(run, name, data) {
+  if (!run) return data;
+  run.steps[name] = {
+    ...run.steps[name],
+    ...data,
+    updatedAt: new Date().toISOString(),
+  };
+  saveRun(run);
+  return run.steps[name];
+}
+
+/**
+ * Resolves a step left pending by a crash against the chain before anyone
+ * decides whether to send it again.
+ */
+async function settleStep(run, name) {
+  const step = getStep(run, name);
+  if (!step || step.status !== "pending" || !step.signature) return step;
+  console.error(`Resolving pending step ${name} (${step.signature})...`);
+  const outcome = await resolveSignature(
+    step.signature,
+    step.lastValidBlockHeight
+  );
+  return recordStep(run, name, { status: outcome });
+}
+
+/**
+ * Adds the priority fee of a transaction that landed to what the run has
+ * spent of its budget. Transactions that were priced but never sent, or
+ * did not land, are not charged.
+ */
+function chargePriorityFee(run, lamports) {
+  if (!run || !lamports) return;
+  run.priorityFeesLamports = (run.priorityFeesLamports || 0) + lamports;
+  saveRun(run);
+}
+
+/**
+ * Sends the transaction produced by `buildTransaction` unless the step is
+ * already confirmed in this run. The signature is journaled before sending,
+ * and the fee policy's `priorityFeeLamports` charged once it lands.
+ */
+async function executeStep(run, name, buildTransaction, signers, details = {}) {
+  const step = await settleStep(run, name);
+  if (step && step.status === "confirmed") {
+    console.error(`Step ${name} already confirmed. TX: ${step.signature}`);
+    return step.signature;
+  }
+
+  const transaction = await buildTransaction();
+  try {
+    const signature = await signAndSend(transaction, signers, (sent) =>
+      recordStep(run, name, { ...details, ...sent, status: "pending" })
+    );
+    recordStep(run, name, { status: "confirmed" });
+    chargePriorityFee(run, transaction.priorityFeeLamports);
+    return signature;
+  } catch (error) {
+    if (error.outcome) recordStep(run, name, { status: error.outcome });
+    throw error;
+  }
+}
+
+/**
+ * A leg's swap step followed by its chunk steps ("swap:<legId>:<index>")
+ * when the swap was split, as { name, step }.
+ */
+function getSwapSteps(run, legId) {
+  if (!run) return [];
+  const name = `swap:${legId}`;
+  return Object.entries(run.steps)
+    .filter(([key]) => key === name || key.startsWith(`${name}:`))
+    .map(([key, step]) => ({ name: key, step }));
+}
+
+function isPaid(run, mint, recipient) {
+  return Boolean(run && run.paid[mint] && run.paid[mint][recipient]);
+}
+
+function updateBatch(run, signature, status) {
+  if (!run) return;
+  const batch = run.batches.find((b) => b.signature === signature);
+  if (!batch) return;
+  batch.status = status;
+  if (status === "confirmed") {
+    run.paid[batch.mint] = run.paid[batch.mint] || {};
+    for (const recipient of batch.recipients) {
+      run.paid[batch.mint][recipient] = signature;
+    }
+  }
+  saveRun(run);
+}
+
+/**
+ * Resolves every payout batch still marked pending against the chain in one
+ * pass, crediting its recipients as paid when it landed. A batch that failed
+ * or expired provably paid no one.
+ */
+async function settleBatches(run) {
+  if (!run) return;
+  const pending = run.batches.filter((batch) => batch.status === "pending");
+  if (pending.length === 0) return;
+  console.error(`Resolving ${pending.length} pending payout batches...`);
+  const outcomes = await resolveSignatures(pending);
+  pending.forEach((batch, i) => updateBatch(run, batch.signature, outcomes[i]));
+}
+
+/**
+ * Sends one payout batch. Each transfer is journaled with its recipient
+ * against the signature before sending, and recipients are marked paid only
+ * once the batch is confirmed, when its `priorityFeeLamports` is charged too.
+ * Pending batches are settled first; if that shows some of `recipients` were
+ * paid meanwhile, the batch is refused so the caller can rebuild it from the
+ * unpaid ones.
+ */
+async function executeBatch(
+  run,
+  mint,
+  recipients,
+  transaction,
+  signers,
+  transfers = []
+) {
+  await settleBatches(run);
+  const paid = recipients.filter((r) => isPaid(run, mint, r));
+  if (run && paid.length === recipients.length) {
+    console.error(`Batch recipients already paid, skipping resend`);
+    return run.paid[mint][recipients[0]];
+  }
+  if (paid.length > 0) {
+    const error = new Error(
+      `${paid.length} of ${recipients.length} batch recipients were already paid`
+    );
+    error.paidRecipients = paid;
+    throw error;
+  }
+
+  try {
+    const signature = await signAndSend(transaction, signers, (sent) => {
+      if (!run) return;
+      run.batches.push({
+        ...sent,
+        mint,
+        recipients,
+        transfers,
+        status: "pending",
+      });
+      saveRun(run);
+    });
+    updateBatch(run, signature, "confirmed");
+    chargePriorityFee(run, transaction.priorityFeeLamports);
+    return signature;
+  } catch (error) {
+    if (error.outcome) updateBatch(run, error.signature, error.outcome);
+    throw error;
+  }
+}
+
+module.exports = {
+  listRunIds,
+  findIncompleteRun,
+  getCarryOver,
+  startRun,
+  resumeRun,
+  finishRun,
+  loadRun,
+  saveRun,
+  saveHolderSnapshot,
+  loadHolderSnapshot,
+  saveLegPayouts,
+  saveAllocation,
+  saveOwnerDecisions,
+  getSwapSteps,
+  saveReconciliation,
+  loadRunReport,
+  summarizeHolderRewards,
+  summarizeRecipientRewards,
+  getStep,
+  recordStep,
+  settleStep,
+  chargePriorityFee,
+  executeStep,
+  isPaid,
+  settleBatches,
+  executeBatch,
+};
@@ -0,0 +1,137 @@
+const { AddressLookupTableProgram } = require("@solana/web3.js");
+const { connection, signAndSend, PublicKey } = require("../utils/solana");
+const { dataPath, readJson, writeJsonAtomic } = require("../utils/store");
+const { chargePriorityFee } = require("./journal");
+const { applyFeePolicy } = require("./feePolicy");
+const { LOOKUP_TABLES } = require("../config/constants");
+
+// { tables: [address], payouts: { recipient: cycles it was paid in } }
+const REGISTRY_FILE = dataPath("lookup-tables.json");
+const TABLE_CAPACITY = 256;
+const EXTEND_CHUNK_SIZE = 20; // Addresses per extend transaction
+
+function loadRegistry() {
+  return readJson(REGISTRY_FILE, { tables: [], payouts: {} });
+}
+
+async function fetchTables(addresses) {
+  const tables = [];
+  for (const address of addresses) {
+    const { value } = await connection.getAddressLookupTable(
+      new PublicKey(address)
+    );
+    if (value && value.isActive()) tables.push(value);
+  }
+  return tables;
+}
+
+async function waitForNextSlot() {
+  const slot = await connection.getSlot("confirmed");
+  while ((await connection.getSlot("confirmed")) <= slot) {
+    await new Promise((resolve) => setTimeout(resolve, 400));
+  }
+}
+
+// Priced under the fee policy like every other transaction, and charged to
+// `run` once it lands
+async function sendPriced(authority, instruction, run) {
+  const fees = await applyFeePolicy(authority.publicKey, [instruction], {
+    run,
+  });
+  await signAndSend(fees, [authority]);
+  chargePriorityFee(run, fees.priorityFeeLamports);
+}
+
+/**
+ * Returns the authority's lookup tables, extended so they hold every address
+ * in `staticAddresses` plus each of `recipients` that was paid in at least
+ * LOOKUP_TABLES.minPreviousPayouts earlier cycles. A new table is created
+ * whenever the existing ones are full. With `dryRun` nothing is sent and the
+ * addresses that would have been added come back as `missing`. The create
+ * and extend transactions count against `run`'s fee budget.
+ */
+async function prepareLookupTables(
+  withdrawAuthority,
+  staticAddresses,
+  recipients,
+  { dryRun = false, run = null } = {}
+) {
+  if (!LOOKUP_TABLES.enabled) return { tables: [], missing: [] };
+
+  const registry = loadRegistry();
+  const repeatRecipients = recipients.filter(
+    (address) =>
+      (registry.payouts[address] || 0) >= LOOKUP_TABLES.minPreviousPayouts
+  );
+  const wanted = [
+    ...new Set([
+      ...staticAddresses.map((address) => address.toString()),
+      ...repeatRecipients,
+    ]),
+  ];
+
+  let tables = await fetchTables(registry.tables);
+  const present = new Set(
+    tables.flatMap((table) => table.state.addresses.map((a) => a.toBase58()))
+  );
+  const missing = wanted.filter((address) => !present.has(address));
+  if (dryRun || missing.length === 0) return { tables, missing };
+
+  const sizes = new Map(
+    tables.map((table) => [table.key.toBase58(), table.state.addresses.length])
+  );
+  let remaining = missing;
+  while (remaining.length > 0) {
+    let tableAddress = [...sizes.keys()].find(
+      (address) => sizes.get(address) < TABLE_CAPACITY
+    );
+    if (!tableAddress) {
+      const [createIx, address] = AddressLookupTableProgram.createLookupTable({
+        authority: withdrawAuthority.publicKey,
+        payer: withdrawAuthority.publicKey,
+        recentSlot: await connection.getSlot("finalized"),
+      });
+      await sendPriced(withdrawAuthority, createIx, run);
+      tableAddress = address.toBase58();
+      sizes.set(tableAddress, 0);
+      registry.tables.push(tableAddress);
+      writeJsonAtomic(REGISTRY_FILE, registry);
+      console.error(`Created lookup table ${tableAddress}`);
+    }
+
+    const room = TABLE_CAPACITY - sizes.get(tableAddress);
+    const chunk = remaining.slice(0, Math.min(room, EXTEND_CHUNK_SIZE));
+    const extendIx = AddressLookupTableProgram.extendLookupTable({
+      lookupTable: new PublicKey(tableAddress),
+      authority: withdrawAuthority.publicKey,
+      payer: withdrawAuthority.publicKey,
+      addresses: chunk.map((address) => new PublicKey(address)),
+    });
+    await sendPriced(withdrawAuthority, extendIx, run);
+    sizes.set(tableAddress, sizes.get(tableAddress) + chunk.length);
+    remaining = remaining.slice(chunk.length);
+    console.error(
+      `Added ${chunk.length} addresses to lookup table ${tableAddress}`
+    );
+  }
+
+  // Addresses only become usable in the slot after they were added
+  await waitForNextSlot();
+  tables = await fetchTables(registry.tables);
+  return { tables, missing: [] };
+}
+
+/**
+ * Counts this cycle's paid recipients, so the ones paid again later are
+ * added to the lookup tables.
+ */
+function recordPayoutRecipients(recipients) {
+  if (!LOOKUP_TABLES.enabled || recipients.length === 0) return;
+  const registry = loadRegistry();
+  for (const address of new Set(recipients)) {
+    registry.payouts[address] = (registry.payouts[address] || 0) + 1;
+  }
+  writeJsonAtomic(REGISTRY_FILE, registry);
+}
+
+module.exports = { prepareLookupTables, recordPayoutRecipients };
@@ -0,0 +1,130 @@
+const { dataPath, readJson, writeJsonAtomic } = require("../utils/store");
+const { OWED_BALANCES } = require("../config/constants");
+
+// { holders: { address: { mint: { balance, entries: {
+//   "<runId>:<payoutKey>:<tokenAccount>": { credit, debit, reason, at } } } } } }
+//
+// Entries are set, never added to, so a resumed run that credits or debits a
+// token account again overwrites its earlier entry instead of counting twice.
+// Once a run is over its entries are folded into `balance`.
+const LEDGER_FILE = dataPath("owed.json");
+
+function entryKey(runId, payoutKey, tokenAccount) {
+  return `${runId}:${payoutKey}:${tokenAccount}`;
+}
+
+/**
+ * Loads the ledger for run `runId`, folding the entries of every other run
+ * into the balances they add up to.
+ */
+function loadOwedLedger(runId) {
+  const ledger = readJson(LEDGER_FILE, { holders: {} });
+  for (const mints of Object.values(ledger.holders)) {
+    for (const account of Object.values(mints)) {
+      for (const [key, entry] of Object.entries(account.entries)) {
+        if (key.startsWith(`${runId}:`)) continue;
+        account.balance = (
+          BigInt(account.balance) +
+          BigInt(entry.credit || 0) -
+          BigInt(entry.debit || 0)
+        ).toString();
+        delete account.entries[key];
+      }
+    }
+  }
+  return ledger;
+}
+
+function saveOwedLedger(ledger) {
+  writeJsonAtomic(LEDGER_FILE, ledger);
+}
+
+function ledgerAccount(ledger, address, mint) {
+  ledger.holders[address] = ledger.holders[address] || {};
+  ledger.holders[address][mint] = ledger.holders[address][mint] || {
+    balance: "0",
+    entries: {},
+  };
+  return ledger.holders[address][mint];
+}
+
+function setEntry(ledger, address, mint, key, fields) {
+  const account = ledgerAccount(ledger, address, mint);
+  const entry = { ...account.entries[key], ...fields };
+  if (!BigInt(entry.credit || 0) && !BigInt(entry.debit || 0)) {
+    delete account.entries[key];
+  } else {
+    account.entries[key] = { ...entry, at: new Date().toISOString() };
+  }
+}
+
+/**
+ * What `address` is owed in `mint`, leaving out the entry under `key` so a
+ * token account's own earlier attempt is not counted against it.
+ */
+function getOwed(ledger, address, mint, key = null) {
+  const account = ledger.holders[address]?.[mint];
+  if (!account) return 0n;
+  let owed = BigInt(account.balance);
+  for (const [entryKey, entry] of Object.entries(account.entries)) {
+    if (entryKey === key) continue;
+    owed += BigInt(entry.credit || 0) - BigInt(entry.debit || 0);
+  }
+  return owed;
+}
+
+function creditOwed(ledger, address, mint, key, amount, reason) {
+  setEntry(ledger, address, mint, key, { credit: amount.toString(), reason });
+}
+
+/**
+ * Records that the payout under `key` includes `amount` of what is owed,
+ * replacing any credit an earlier attempt left under it. Written before the
+ * payout is sent; a payout that ends up failing sets it back to 0.
+ */
+function debitOwed(ledger, address, mint, key, amount) {
+  setEntry(ledger, address, mint, key, {
+    credit: "0",
+    debit: amount.toString(),
+    reason: undefined,
+  });
+}
+
+function getDebit(ledger, address, mint, key) {
+  return BigInt(ledger.holders[address]?.[mint]?.entries[key]?.debit || 0);
+}
+
+function getOwedMinimum(mint) {
+  return (
+    OWED_BALANCES.minimumPayouts[mint] ?? OWED_BALANCES.minimumPayouts.default
+  );
+}
+
+/**
+ * A holder's owed balances per mint, with the entries still open in the
+ * current run.
+ */
+function getOwedBalances(address) {
+  const ledger = readJson(LEDGER_FILE, { holders: {} });
+  const balances = {};
+  for (const [mint, account] of Object.entries(ledger.holders[address] || {})) {
+    balances[mint] = {
+      owed: getOwed(ledger, address, mint).toString(),
+      minimumPayout: getOwedMinimum(mint).toString(),
+      entries: account.entries,
+    };
+  }
+  return balances;
+}
+
+module.exports = {
+  entryKey,
+  loadOwedLedger,
+  saveOwedLedger,
+  getOwed,
+  creditOwed,
+  debitOwed,
+  getDebit,
+  getOwedMinimum,
+  getOwedBalances,
+};
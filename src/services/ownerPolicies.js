@@ -0,0 +1,48 @@
+const { connection, PublicKey, SystemProgram } = require("../utils/solana");
+const { OWNER_POLICIES } = require("../config/constants");
+
+// Recipients that are not plain wallets fall in one of these classes:
+//   off-curve      not an Ed25519 key, so it cannot sign (multisig and
+//                  smart-wallet vaults); its account, if any, is system-owned
+//   program-owned  its account belongs to a program other than the System
+//                  Program (program vaults, smart wallet accounts)
+// The policies each class may have are checked with the config's schema.
+const OWNER_CLASSES = ["off-curve", "program-owned"];
+
+/**
+ * Looks up the accounts of `addresses` 100 at a time and maps each to
+ * `{ ownerClass, exists }`, where `ownerClass` is "wallet" or one of
+ * OWNER_CLASSES.
+ */
+async function classifyOwners(addresses) {
+  const classes = new Map();
+  const unique = [...new Set(addresses)];
+  for (let i = 0; i < unique.length; i += 100) {
+    const chunk = unique.slice(i, i + 100);
+    const infos = await connection.getMultipleAccountsInfo(
+      chunk.map((address) => new PublicKey(address)),
+      "confirmed"
+    );
+    infos.forEach((info, j) => {
+      let ownerClass = "wallet";
+      if (info && !info.owner.equals(SystemProgram.programId)) {
+        ownerClass = "program-owned";
+      } else if (!PublicKey.isOnCurve(new PublicKey(chunk[j]))) {
+        ownerClass = "off-curve";
+      }
+      classes.set(chunk[j], { ownerClass, exists: Boolean(info) });
+    });
+  }
+  return classes;
+}
+
+/**
+ * The policy applied to a recipient of `ownerClass` for token or SOL
+ * rewards. Wallets are always paid directly.
+ */
+function ownerPolicy(ownerClass, isSol, config = OWNER_POLICIES) {
+  if (ownerClass === "wallet") return "wallet";
+  return config[ownerClass][isSol ? "sol" : "token"];
+}
+
+module.exports = { classifyOwners, ownerPolicy };
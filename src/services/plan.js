@@ -0,0 +1,112 @@
+const fs = require("fs");
+const { dataPath, writeJsonAtomic } = require("../utils/store");
+const { connection } = require("../utils/solana");
+
+const PLANS_DIR = dataPath("plans");
+const BASE_FEE_LAMPORTS = 5000; // Per signature
+
+function createPlan(options = {}) {
+  const now = new Date();
+  return {
+    id: now.toISOString().replace(/[:.]/g, "-"),
+    createdAt: now.toISOString(),
+    ...options,
+    legs: [],
+    allocations: [],
+    holders: [],
+    ataCreations: [],
+    lookupTables: [],
+    batches: [],
+    totals: {
+      distributed: "0",
+      estimatedFeeLamports: 0,
+      rentLamports: 0,
+    },
+  };
+}
+
+/**
+ * Makes every send through the shared connection throw, so nothing in plan
+ * mode can reach the network even if a code path forgets to check for a plan.
+ */
+function disableSending() {
+  const refuse = async () => {
+    throw new Error("Sending transactions is disabled in plan mode");
+  };
+  connection.sendRawTransaction = refuse;
+  connection.sendTransaction = refuse;
+  connection.sendEncodedTransaction = refuse;
+}
+
+function estimateFeeLamports(microLamports, computeUnits, signatures = 1) {
+  return (
+    BASE_FEE_LAMPORTS * signatures +
+    Math.ceil((microLamports * computeUnits) / 1_000_000)
+  );
+}
+
+function recordHolder(plan, entry) {
+  if (!plan) return;
+  plan.holders.push({
+    ...entry,
+    balance: entry.balance?.toString(),
+    share: entry.share?.toString(),
+  });
+}
+
+function recordBatch(plan, batch) {
+  plan.batches.push({ index: plan.batches.length, ...batch });
+  plan.totals.estimatedFeeLamports += batch.estimatedFeeLamports;
+}
+
+function toCsv(plan) {
+  const header = [
+    "address",
+    "tokenAccount",
+    "recipient",
+    "mint",
+    "balance",
+    "share",
+    "status",
+    "reason",
+    "batch",
+    "createsAta",
+  ];
+  const rows = plan.holders.map((h) =>
+    [
+      h.address,
+      h.tokenAccount,
+      h.recipient ?? "",
+      h.mint ?? "",
+      h.balance,
+      h.share ?? "",
+      h.status,
+      h.reason ?? "",
+      h.batch ?? "",
+      h.createsAta ? "yes" : "",
+    ]
+      .map((value) => `"${String(value).replace(/"/g, '""')}"`)
+      .join(",")
+  );
+  return [header.join(","), ...rows].join("\n") + "\n";
+}
+
+/**
+ * Writes the plan as JSON plus a per-holder CSV summary and returns both paths.
+ */
+function writePlan(plan) {
+  const jsonPath = `${PLANS_DIR}/${plan.id}.json`;
+  const csvPath = `${PLANS_DIR}/${plan.id}.csv`;
+  writeJsonAtomic(jsonPath, plan);
+  fs.writeFileSync(csvPath, toCsv(plan), "utf-8");
+  return { jsonPath, csvPath };
+}
+
+module.exports = {
+  createPlan,
+  disableSending,
+  estimateFeeLamports,
+  recordHolder,
+  recordBatch,
+  writePlan,
+};
@@ -0,0 +1,68 @@
+const { dataPath, readJson, writeJsonAtomic } = require("../utils/store");
+const { OUTPUT_MINTS } = require("../config/constants");
+
+// Holder address -> preferred output mint. Holders without an entry follow
+// the normal rotation (or basket) for their share.
+const PREFERENCES_FILE = dataPath("preferences.json");
+
+function loadPreferences() {
+  return readJson(PREFERENCES_FILE, {});
+}
+
+function getPreference(address) {
+  return loadPreferences()[address] || null;
+}
+
+function validatePreference(mint) {
+  if (!OUTPUT_MINTS.includes(mint)) {
+    throw new Error(`${mint} is not one of the configured OUTPUT_MINTS`);
+  }
+}
+
+function setPreference(address, mint) {
+  validatePreference(mint);
+  const preferences = loadPreferences();
+  preferences[address] = mint;
+  writeJsonAtomic(PREFERENCES_FILE, preferences);
+}
+
+function clearPreference(address) {
+  const preferences = loadPreferences();
+  delete preferences[address];
+  writeJsonAtomic(PREFERENCES_FILE, preferences);
+}
+
+/**
+ * Copies the preferences of the snapshot's eligible holders into the
+ * snapshot, so a resumed run groups holders the way it did when it started.
+ * Preferences for mints no longer in OUTPUT_MINTS are ignored.
+ */
+function attachPreferences(snapshot) {
+  const preferences = loadPreferences();
+  snapshot.preferences = {};
+  for (const holder of snapshot.holders) {
+    const mint = preferences[holder.address];
+    if (mint && OUTPUT_MINTS.includes(mint)) {
+      snapshot.preferences[holder.address] = mint;
+    }
+  }
+  return snapshot;
+}
+
+/**
+ * Returns the payout group a holder belongs to: its preferred mint, or
+ * "default" for holders who follow the rotation.
+ */
+function preferenceGroup(snapshot, address) {
+  return (snapshot.preferences && snapshot.preferences[address]) || "default";
+}
+
+module.exports = {
+  loadPreferences,
+  getPreference,
+  validatePreference,
+  setPreference,
+  clearPreference,
+  attachPreferences,
+  preferenceGroup,
+};
@@ -1,42 +1,280 @@
 const fetch = require("node-fetch");
+const { connection, PublicKey } = require("../utils/solana");
+const { readState, writeState } = require("../utils/store");
+const { MINT_ADDRESS, PRICE_ORACLE } = require("../config/constants");
 
-async function getDrtPriceInUsd() {
-  const DRT_MINT = "FjFccmB1ZBUVB13s12koLPseRi9ZSzNj9daJStCVXM25";
-  const DEXSCREENER_API = "https://api.dexscreener.com/latest/dex/tokens";
+// A price source is { name, observe(mint, config) } resolving to a list of
+// observations { source, label, priceUsd, liquidityUsd }: one per pool or
+// venue it saw, `liquidityUsd` being what the observation weighs in the
+// median. A source that sees nothing resolves to an empty list.
 
-  try {
-    const response = await fetch(`${DEXSCREENER_API}/${DRT_MINT}`, {
-      timeout: 10000,
-    });
-    if (!response.ok) {
-      throw new Error(
-        `HTTP error ${response.status}: ${await response.text()}`
+async function fetchJson(url, config) {
+  const response = await fetch(url, { timeout: config.timeoutMs });
+  if (!response.ok) {
+    throw new Error(`HTTP error ${response.status}: ${await response.text()}`);
+  }
+  return response.json();
+}
+
+const dexscreener = {
+  name: "dexscreener",
+  async observe(mint, config = PRICE_ORACLE) {
+    const data = await fetchJson(
+      `${config.dexscreener.baseUrl}/${mint}`,
+      config
+    );
+    // priceUsd is the pair's base token price, so only pairs quoting DRT count
+    return (data.pairs || [])
+      .filter((pair) => pair.baseToken?.address === mint)
+      .map((pair) => ({
+        source: "dexscreener",
+        label: `${pair.dexId} ${pair.pairAddress}`,
+        priceUsd: parseFloat(pair.priceUsd),
+        liquidityUsd: Number(pair.liquidity?.usd || 0),
+      }));
+  },
+};
+
+// Jupiter's price is already aggregated across venues and comes without a
+// liquidity figure, so it weighs the configured `liquidityUsd`
+const jupiter = {
+  name: "jupiter",
+  async observe(mint, config = PRICE_ORACLE) {
+    const prices = await getTokenPricesUsd([mint], config);
+    if (!prices[mint]) return [];
+    return [
+      {
+        source: "jupiter",
+        label: "price api",
+        priceUsd: prices[mint],
+        liquidityUsd: config.jupiter.liquidityUsd,
+      },
+    ];
+  },
+};
+
+// Reads the configured pools' vaults straight from the chain: DRT's price is
+// the quote reserve over the DRT reserve, at the quote token's USD price
+const poolReserves = {
+  name: "pool-reserves",
+  async observe(mint, config = PRICE_ORACLE) {
+    if (config.pools.length === 0) return [];
+    const quotePrices = await getTokenPricesUsd(
+      [...new Set(config.pools.map((pool) => pool.quoteMint))],
+      config
+    );
+    const observations = [];
+    for (const pool of config.pools) {
+      const quoteUsd = quotePrices[pool.quoteMint];
+      if (!quoteUsd) {
+        console.error(`No USD price for ${pool.name}'s quote token`);
+        continue;
+      }
+      const [base, quote] = await Promise.all(
+        [pool.baseVault, pool.quoteVault].map(async (vault) => {
+          const { value } = await connection.getTokenAccountBalance(
+            new PublicKey(vault)
+          );
+          return parseFloat(value.uiAmountString);
+        })
       );
+      if (!(base > 0)) continue;
+      observations.push({
+        source: "pool-reserves",
+        label: pool.name,
+        priceUsd: (quote / base) * quoteUsd,
+        liquidityUsd: 2 * quote * quoteUsd,
+      });
     }
+    return observations;
+  },
+};
 
-    const data = await response.json();
-    if (!data.pairs || data.pairs.length === 0) {
-      throw new Error("No trading pairs found for DRT");
-    }
+const PRICE_SOURCES = Object.fromEntries(
+  [dexscreener, jupiter, poolReserves].map((source) => [source.name, source])
+);
 
-    // Find a pair with USD price (e.g., against USDC or SOL with conversion)
-    const usdPair = data.pairs.find(
-      (pair) => pair.priceUsd && parseFloat(pair.priceUsd) > 0
+function getPriceSource(name) {
+  const source = PRICE_SOURCES[name];
+  if (!source) {
+    throw new Error(
+      `Unknown price source "${name}" (expected one of ${Object.keys(
+        PRICE_SOURCES
+      ).join(", ")})`
     );
-    if (!usdPair) {
-      throw new Error("No valid USD price found in pairs");
+  }
+  return source;
+}
+
+/**
+ * The price at which observations holding half the liquidity are priced at
+ * or below it.
+ */
+function weightedMedian(observations) {
+  const sorted = [...observations].sort((a, b) => a.priceUsd - b.priceUsd);
+  const total = sorted.reduce((sum, o) => sum + o.liquidityUsd, 0);
+  let cumulative = 0;
+  for (const observation of sorted) {
+    cumulative += observation.liquidityUsd;
+    if (cumulative >= total / 2) return observation.priceUsd;
+  }
+  return sorted[sorted.length - 1].priceUsd;
+}
+
+/**
+ * Asks every configured source for DRT's price and combines what they see.
+ * Observations under `minLiquidityUsd` are ignored, the rest are combined in
+ * a liquidity-weighted median, and observations more than `maxDeviationPct`
+ * off it are dropped as outliers. The price stands only if what is left
+ * comes from at least `minSources` sources.
+ */
+async function observeDrtPrice(mint, config = PRICE_ORACLE) {
+  const sources = config.sources.map(getPriceSource);
+  const results = await Promise.allSettled(
+    sources.map((source) => source.observe(mint, config))
+  );
+  const failures = [];
+  let observations = [];
+  results.forEach((result, i) => {
+    if (result.status === "fulfilled") {
+      observations.push(...result.value);
+    } else {
+      console.error(
+        `Price source ${sources[i].name} failed: ${result.reason.message}`
+      );
+      failures.push({ source: sources[i].name, error: result.reason.message });
     }
+  });
+  observations = observations.filter(
+    (o) => o.priceUsd > 0 && o.liquidityUsd >= config.minLiquidityUsd
+  );
+  if (observations.length === 0) {
+    return { priceUsd: null, reason: "no source has a price", failures };
+  }
+
+  const median = weightedMedian(observations);
+  const deviation = (o) => (Math.abs(o.priceUsd - median) / median) * 100;
+  const outliers = observations.filter(
+    (o) => deviation(o) > config.maxDeviationPct
+  );
+  for (const outlier of outliers) {
+    console.error(
+      `Ignoring ${outlier.source} ${outlier.label} price $${
+        outlier.priceUsd
+      }, ${deviation(outlier).toFixed(1)}% off the median $${median}`
+    );
+  }
+  const agreeing = observations.filter((o) => !outliers.includes(o));
+  const agreeingSources = [...new Set(agreeing.map((o) => o.source))];
+  if (agreeingSources.length < config.minSources) {
+    return {
+      priceUsd: null,
+      reason: `only ${agreeingSources.length} of ${config.minSources} required sources agree (${
+        agreeingSources.join(", ") || "none"
+      })`,
+      observations,
+      failures,
+    };
+  }
+  return {
+    priceUsd: weightedMedian(agreeing),
+    sources: agreeingSources,
+    observations,
+    outliers,
+    failures,
+  };
+}
+
+// Last accepted price, reused for `cacheMs`. The persisted copy outlives a
+// restart and stands in for at most `maxAgeMs` while the sources fail.
+let cached = null;
+const PRICE_STATE_KEY = "drtPrice";
 
-    const drtPriceUsd = parseFloat(usdPair.priceUsd);
-    console.log(`DRT price from DEX Screener API: $${drtPriceUsd}`);
-    return drtPriceUsd;
-  } catch (err) {
+/**
+ * DRT's USD price from the configured sources, as { priceUsd, observedAt,
+ * sources, ... }. When the sources give no trustworthy price and the last
+ * one is older than PRICE_ORACLE.maxAgeMs, resolves to { priceUsd: null,
+ * reason } instead: there is no fallback price to guess with.
+ */
+async function getDrtPrice(config = PRICE_ORACLE, now = Date.now()) {
+  const mint = MINT_ADDRESS.toBase58();
+  if (cached && now - Date.parse(cached.observedAt) < config.cacheMs) {
+    return cached;
+  }
+
+  let observed;
+  try {
+    observed = await observeDrtPrice(mint, config);
+  } catch (error) {
+    observed = { priceUsd: null, reason: error.message };
+  }
+  if (observed.priceUsd !== null) {
+    cached = { ...observed, observedAt: new Date(now).toISOString() };
+    writeState(PRICE_STATE_KEY, {
+      priceUsd: cached.priceUsd,
+      sources: cached.sources,
+      observedAt: cached.observedAt,
+    });
     console.error(
-      "Failed to fetch DRT price from DEX Screener, using fallback $0.0009846:",
-      err
+      `DRT price: $${cached.priceUsd} from ${cached.sources.join(", ")}`
     );
-    return 0.0009846; // Fallback price
+    return cached;
+  }
+
+  const last = readState(PRICE_STATE_KEY);
+  const ageMs = last ? now - Date.parse(last.observedAt) : Infinity;
+  if (ageMs <= config.maxAgeMs) {
+    console.error(
+      `DRT price unavailable (${observed.reason}); using $${
+        last.priceUsd
+      } from ${Math.round(ageMs / 1000)}s ago`
+    );
+    return { ...last, stale: true };
+  }
+  console.error(`DRT price unavailable: ${observed.reason}`);
+  return {
+    priceUsd: null,
+    reason: last
+      ? `${observed.reason}; last price is ${Math.round(
+          ageMs / 1000
+        )}s old, over the ${config.maxAgeMs / 1000}s limit`
+      : observed.reason,
+    observations: observed.observations,
+    failures: observed.failures,
+  };
+}
+
+/**
+ * DRT's USD price, throwing when it is unavailable.
+ */
+async function getDrtPriceInUsd() {
+  const price = await getDrtPrice();
+  if (price.priceUsd === null) {
+    throw new Error(`DRT price unavailable: ${price.reason}`);
+  }
+  return price.priceUsd;
+}
+
+/**
+ * Fetches USD prices for several mints from the Jupiter price API.
+ * Mints without a price are left out of the result.
+ */
+async function getTokenPricesUsd(mints, config = PRICE_ORACLE) {
+  const { data } = await fetchJson(
+    `${config.jupiter.baseUrl}?ids=${mints.join(",")}`,
+    config
+  );
+  const prices = {};
+  for (const mint of mints) {
+    const price = parseFloat(data?.[mint]?.price);
+    if (price > 0) prices[mint] = price;
   }
+  return prices;
 }
 
-module.exports = { getDrtPriceInUsd };
+module.exports = {
+  PRICE_SOURCES,
+  getDrtPrice,
+  getDrtPriceInUsd,
+  getTokenPricesUsd,
+};
@@ -0,0 +1,258 @@
+const {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  ExtensionType,
+  getAssociatedTokenAddressSync,
+  getMint,
+  getExtensionTypes,
+  getAccountTypeOfMintType,
+  getAccountLen,
+} = require("@solana/spl-token");
+const { connection, PublicKey } = require("../utils/solana");
+const { dataPath, readJson, writeJsonAtomic } = require("../utils/store");
+const { getTokenPricesUsd } = require("./price");
+const { OUTPUT_MINTS, ATA_RENT } = require("../config/constants");
+
+// {
+//   accounts: { "<mint>:<owner>:<token program>": { address, savedAt } },
+//   tokenPrograms: { mint: token program },
+//   migrated: [legacy file names already imported],
+// }
+const STORE_FILE = dataPath("recipient-accounts.json");
+
+// Per-mint { owner: ata } caches used before this store existed. The generic
+// file held every other mint, so its entries are matched by derivation.
+const LEGACY_FILES = {
+  "USDC-TokenAccount.json": "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v",
+  "ETH-TokenAccount.json": "7vfCXTUXx5WJV5JADk17DUJ4ksgau7utNKj4b963voxs",
+  "BTC-TokenAccount.json": "3NZ9JMVBmGAqocybic2c7LQCJScmgsAZ6vQqTDzcqmJh",
+  "TokenAccount.json": null,
+};
+
+const TOKEN_PROGRAMS = [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID];
+const SOL_MINT = "So11111111111111111111111111111111111111112";
+const RENT_POLICIES = ["always", "never", "share-covers-rent"];
+
+// Loaded once per process; every change is written through atomically
+let store = null;
+
+function entryKey(mint, owner, tokenProgram) {
+  return `${mint}:${owner}:${tokenProgram}`;
+}
+
+/**
+ * The associated token address `owner` has for `mint` under `tokenProgram`.
+ */
+function deriveRecipientAccount(mint, owner, tokenProgram = TOKEN_PROGRAM_ID) {
+  return getAssociatedTokenAddressSync(
+    new PublicKey(mint),
+    new PublicKey(owner),
+    true,
+    new PublicKey(tokenProgram)
+  ).toBase58();
+}
+
+function isDerived(mint, owner, tokenProgram, address) {
+  try {
+    return deriveRecipientAccount(mint, owner, tokenProgram) === address;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Imports the legacy JSON caches that have not been imported yet. Entries
+ * that are not the owner's derived ATA are dropped, and entries of the
+ * generic file are kept for whichever output mint they derive from.
+ */
+function migrateLegacyFiles(current) {
+  let changed = false;
+  for (const [file, mint] of Object.entries(LEGACY_FILES)) {
+    if (current.migrated.includes(file)) continue;
+    const legacy = readJson(dataPath(file), {});
+    const candidates = mint ? [mint] : OUTPUT_MINTS;
+    let imported = 0;
+    let dropped = 0;
+    for (const [owner, address] of Object.entries(legacy)) {
+      const match = candidates.find((candidate) =>
+        isDerived(candidate, owner, TOKEN_PROGRAM_ID.toBase58(), address)
+      );
+      if (!match) {
+        dropped++;
+        continue;
+      }
+      current.accounts[entryKey(match, owner, TOKEN_PROGRAM_ID.toBase58())] = {
+        address,
+        savedAt: new Date().toISOString(),
+      };
+      imported++;
+    }
+    current.migrated.push(file);
+    changed = true;
+    console.error(
+      `Migrated ${imported} recipient accounts from ${file} (${dropped} did not match their derived address)`
+    );
+  }
+  return changed;
+}
+
+function loadStore() {
+  if (store) return store;
+  store = readJson(STORE_FILE, {
+    accounts: {},
+    tokenPrograms: {},
+    migrated: [],
+  });
+  if (migrateLegacyFiles(store)) writeJsonAtomic(STORE_FILE, store);
+  return store;
+}
+
+/**
+ * Returns the token program that owns `mint`, looked up once and remembered.
+ */
+async function getTokenProgram(mint) {
+  const current = loadStore();
+  if (current.tokenPrograms[mint]) {
+    return new PublicKey(current.tokenPrograms[mint]);
+  }
+  const info = await connection.getAccountInfo(new PublicKey(mint));
+  if (!info) throw new Error(`Mint ${mint} does not exist`);
+  if (!TOKEN_PROGRAMS.some((program) => program.equals(info.owner))) {
+    throw new Error(
+      `Mint ${mint} is owned by ${info.owner.toBase58()}, not a token program`
+    );
+  }
+  current.tokenPrograms[mint] = info.owner.toBase58();
+  writeJsonAtomic(STORE_FILE, current);
+  return info.owner;
+}
+
+/**
+ * Returns the stored token account of `owner` for `mint`, or null when none
+ * is stored. An entry that no longer matches the derived address is removed.
+ */
+function getRecipientAccount(mint, owner, tokenProgram = TOKEN_PROGRAM_ID) {
+  const current = loadStore();
+  const key = entryKey(mint, owner, tokenProgram.toString());
+  const entry = current.accounts[key];
+  if (!entry) return null;
+  if (!isDerived(mint, owner, tokenProgram.toString(), entry.address)) {
+    console.error(
+      `Stored account ${entry.address} is not the ATA of ${owner} for ${mint}; dropping it`
+    );
+    delete current.accounts[key];
+    writeJsonAtomic(STORE_FILE, current);
+    return null;
+  }
+  return entry.address;
+}
+
+/**
+ * Stores the `{ owner, address }` token accounts of `mint` in one write.
+ * Throws when any address is not its owner's associated token address.
+ */
+function saveRecipientAccounts(
+  mint,
+  accounts,
+  tokenProgram = TOKEN_PROGRAM_ID
+) {
+  if (accounts.length === 0) return;
+  const current = loadStore();
+  const savedAt = new Date().toISOString();
+  for (const { owner, address } of accounts) {
+    const addressString = address.toString();
+    if (!isDerived(mint, owner, tokenProgram.toString(), addressString)) {
+      throw new Error(
+        `${addressString} is not the associated token account of ${owner} for ${mint}`
+      );
+    }
+    current.accounts[entryKey(mint, owner, tokenProgram.toString())] = {
+      address: addressString,
+      savedAt,
+    };
+  }
+  writeJsonAtomic(STORE_FILE, current);
+}
+
+/**
+ * Returns the subset of `addresses` that has no account on chain, checked
+ * 100 at a time.
+ */
+async function findMissingAccounts(addresses) {
+  const missing = new Set();
+  const unique = [...new Set(addresses)];
+  for (let i = 0; i < unique.length; i += 100) {
+    const chunk = unique.slice(i, i + 100);
+    const infos = await connection.getMultipleAccountsInfo(
+      chunk.map((address) => new PublicKey(address)),
+      "confirmed"
+    );
+    infos.forEach((info, j) => {
+      if (!info) missing.add(chunk[j]);
+    });
+  }
+  return missing;
+}
+
+/**
+ * Loads the rent of one `mint` ATA and returns it with `fundsRent(share)`,
+ * which applies ATA_RENT.policy to a holder share in base units. Without a
+ * price for the mint "share-covers-rent" cannot compare, so it funds.
+ */
+async function prepareAtaRent(mint, tokenProgram = TOKEN_PROGRAM_ID) {
+  if (!RENT_POLICIES.includes(ATA_RENT.policy)) {
+    throw new Error(`Unknown ATA rent policy "${ATA_RENT.policy}"`);
+  }
+  const mintInfo = await getMint(
+    connection,
+    new PublicKey(mint),
+    "confirmed",
+    tokenProgram
+  );
+  // Accounts carry the extensions their mint implies, and Token-2022 ATAs are
+  // always created with an immutable owner
+  const extensions = getExtensionTypes(mintInfo.tlvData).map(
+    getAccountTypeOfMintType
+  );
+  if (tokenProgram.equals(TOKEN_2022_PROGRAM_ID)) {
+    extensions.push(ExtensionType.ImmutableOwner);
+  }
+  const rentLamports = await connection.getMinimumBalanceForRentExemption(
+    getAccountLen(extensions)
+  );
+
+  let lamportsPerUnit = null;
+  if (ATA_RENT.policy === "share-covers-rent") {
+    try {
+      const prices = await getTokenPricesUsd([mint, SOL_MINT]);
+      if (prices[mint] && prices[SOL_MINT]) {
+        lamportsPerUnit =
+          (prices[mint] / prices[SOL_MINT]) * 10 ** (9 - mintInfo.decimals);
+      }
+    } catch (error) {
+      console.error(`Failed to price ${mint} against SOL:`, error);
+    }
+    if (lamportsPerUnit === null) {
+      console.error(`No price for ${mint}; funding rent for every new ATA`);
+    }
+  }
+
+  const fundsRent = (share) => {
+    if (ATA_RENT.policy === "never") return false;
+    if (ATA_RENT.policy === "always" || lamportsPerUnit === null) return true;
+    return (
+      Number(share) * lamportsPerUnit >=
+      rentLamports * ATA_RENT.minShareToRentRatio
+    );
+  };
+  return { rentLamports, fundsRent };
+}
+
+module.exports = {
+  deriveRecipientAccount,
+  getTokenProgram,
+  getRecipientAccount,
+  saveRecipientAccounts,
+  findMissingAccounts,
+  prepareAtaRent,
+};
@@ -0,0 +1,320 @@
+const { fetchBalanceChanges } = require("../utils/solana");
+const { isNativeSol } = require("../utils/helpers");
+const {
+  loadRun,
+  loadRunReport,
+  saveReconciliation,
+  getSwapSteps,
+} = require("./journal");
+const { MINT_ADDRESS } = require("../config/constants");
+
+const BASE_FEE_LAMPORTS = 5000; // Per signature
+
+function discrepancy(kind, fields, expected, actual) {
+  return {
+    kind,
+    ...fields,
+    expected: expected.toString(),
+    actual: actual.toString(),
+    difference: (actual - expected).toString(),
+  };
+}
+
+// What a destination received in a transaction: lamports for SOL legs,
+// tokens otherwise. SOL paid as wrapped SOL lands in a token account, whose
+// lamports would also count the rent of creating it.
+function receivedBy(changes, destination, isSol) {
+  if (isSol && !(destination in changes.tokens)) {
+    return changes.lamports[destination] || 0n;
+  }
+  return changes.tokens[destination] || 0n;
+}
+
+/**
+ * Compares one leg's allocation with what its payout batches moved on chain.
+ * Every batch sent for the leg counts, whatever the journal says about it,
+ * so a batch wrongly marked failed shows up as an overpayment.
+ */
+function reconcileLeg(leg, allocation, batches, fetched) {
+  const isSol = isNativeSol(leg.mint);
+  const shares = allocation?.shares || {};
+  const discrepancies = [];
+
+  // Destination of every journaled transfer, and what it should receive
+  const destinations = {};
+  for (const batch of batches) {
+    for (const transfer of batch.transfers || []) {
+      destinations[transfer.recipient] = transfer.destination;
+    }
+  }
+  const expected = {};
+  for (const [recipient, share] of Object.entries(shares)) {
+    const destination = destinations[recipient];
+    if (!destination) {
+      discrepancies.push(
+        discrepancy("missing", { leg: leg.id, recipient }, BigInt(share), 0n)
+      );
+      continue;
+    }
+    expected[destination] = (expected[destination] || 0n) + BigInt(share);
+  }
+
+  const actual = {};
+  let unverifiable = 0;
+  for (const batch of batches) {
+    if (!batch.transfers) unverifiable += batch.recipients.length;
+    const changes = fetched[batch.signature];
+    if (!changes || changes.err) continue;
+    const paidTo = new Set(
+      (batch.transfers || []).map((transfer) => transfer.destination)
+    );
+    for (const destination of paidTo) {
+      actual[destination] =
+        (actual[destination] || 0n) + receivedBy(changes, destination, isSol);
+    }
+  }
+
+  for (const destination of new Set([
+    ...Object.keys(expected),
+    ...Object.keys(actual),
+  ])) {
+    const want = expected[destination] || 0n;
+    const got = actual[destination] || 0n;
+    if (want === got) continue;
+    const kind = got === 0n ? "missing" : got > want ? "overpaid" : "underpaid";
+    discrepancies.push(
+      discrepancy(kind, { leg: leg.id, destination }, want, got)
+    );
+  }
+
+  const sum = (values) => values.reduce((a, b) => a + b, 0n);
+  return {
+    id: leg.id,
+    mint: leg.mint,
+    mode: leg.mode || "push",
+    allocated: sum(Object.values(shares).map(BigInt)).toString(),
+    received: sum(Object.values(actual)).toString(),
+    unverifiable,
+    discrepancies,
+  };
+}
+
+/**
+ * Fetches every transaction a run produced and checks it against the run's
+ * journal: swaps and fee recipient transfers against the amounts recorded,
+ * holder payouts against the allocation, and network fees and ATA rent
+ * against what the run budgeted. The report is saved next to the run.
+ */
+async function reconcileRun(runOrId) {
+  const run = typeof runOrId === "string" ? loadRun(runOrId) : runOrId;
+  if (!run) throw new Error(`Run ${runOrId} not found`);
+  const report = loadRunReport(run.id);
+  const legs = run.legs || [];
+  console.error(`Reconciling run ${run.id}...`);
+
+  // Every signature the run journaled, named after its step or batch
+  const sources = [];
+  for (const [name, step] of Object.entries(run.steps)) {
+    if (step.signature) sources.push({ name, signature: step.signature });
+    for (const signature of step.signatures || []) {
+      sources.push({ name, signature });
+    }
+  }
+  for (const [index, batch] of run.batches.entries()) {
+    sources.push({ name: `batch:${index}`, signature: batch.signature });
+  }
+
+  const fetched = {};
+  const notFound = [];
+  for (const { name, signature } of sources) {
+    if (signature in fetched) continue;
+    fetched[signature] = await fetchBalanceChanges(signature);
+    if (!fetched[signature]) notFound.push({ name, signature });
+  }
+
+  const discrepancies = [];
+
+  // A step the journal gave up on but that landed anyway, or the reverse
+  for (const { name, signature } of sources) {
+    const changes = fetched[signature];
+    const landed = Boolean(changes && !changes.err);
+    const batch = run.batches.find((b) => b.signature === signature);
+    const status = batch ? batch.status : run.steps[name]?.status;
+    if (landed !== (status === "confirmed")) {
+      discrepancies.push({
+        kind: "journal",
+        name,
+        signature,
+        journaled: status || "unknown",
+        onChain: changes ? (changes.err ? "failed" : "landed") : "not found",
+      });
+    }
+  }
+
+  const authority = Object.values(fetched).find(Boolean)?.feePayer;
+  const withdraw = run.steps.withdraw;
+  if (withdraw?.signature && withdraw.amount && fetched[withdraw.signature]) {
+    const got =
+      fetched[withdraw.signature].owners[
+        `${authority}:${MINT_ADDRESS.toBase58()}`
+      ] || 0n;
+    if (got !== BigInt(withdraw.amount)) {
+      discrepancies.push(
+        discrepancy(
+          "withdraw",
+          { name: "withdraw" },
+          BigInt(withdraw.amount),
+          got
+        )
+      );
+    }
+  }
+
+  for (const leg of legs) {
+    // A split swap is checked chunk by chunk
+    for (const { name, step: swap } of getSwapSteps(run, leg.id)) {
+      const changes = swap.signature && fetched[swap.signature];
+      if (!changes || changes.err || !swap.received) continue;
+      // `received` is measured on the wallet balance, so for SOL it is
+      // already net of the fee the authority paid, as its lamport change is
+      const got = isNativeSol(leg.mint)
+        ? changes.lamports[authority] || 0n
+        : changes.owners[`${authority}:${leg.mint}`] || 0n;
+      if (got !== BigInt(swap.received)) {
+        discrepancies.push(
+          discrepancy("swap", { name }, BigInt(swap.received), got)
+        );
+      }
+    }
+
+    for (const [name, recipient] of Object.entries(
+      report.legs[leg.id]?.recipients || {}
+    )) {
+      const step = run.steps[`${name}:${leg.id}`];
+      if (BigInt(recipient.amount) === 0n) continue;
+      const paid = step?.signature && fetched[step.signature];
+      const got =
+        paid && !paid.err
+          ? isNativeSol(leg.mint)
+            ? paid.lamports[recipient.wallet] || 0n
+            : paid.owners[`${recipient.wallet}:${leg.mint}`] || 0n
+          : 0n;
+      if (got !== BigInt(recipient.amount)) {
+        discrepancies.push(
+          discrepancy(
+            got === 0n
+              ? "missing"
+              : got > BigInt(recipient.amount)
+                ? "overpaid"
+                : "underpaid",
+            { name: `${name}:${leg.id}`, destination: recipient.wallet },
+            BigInt(recipient.amount),
+            got
+          )
+        );
+      }
+    }
+  }
+
+  const legReports = legs
+    .filter(
+      (leg) =>
+        leg.mode !== "claim" &&
+        (leg.status === "completed" || report.allocations?.[leg.id])
+    )
+    .map((leg) =>
+      reconcileLeg(
+        leg,
+        report.allocations?.[leg.id],
+        run.batches.filter((batch) => batch.mint === leg.id),
+        fetched
+      )
+    );
+  for (const leg of legReports) discrepancies.push(...leg.discrepancies);
+
+  // Fees: every landed or failed transaction pays its network fee
+  const landed = Object.values(fetched).filter(Boolean);
+  const networkFees = landed.reduce((sum, tx) => sum + tx.fee, 0n);
+  const expectedFees =
+    BigInt(
+      landed.reduce((sum, tx) => sum + tx.signatures, 0) * BASE_FEE_LAMPORTS
+    ) + BigInt(run.priorityFeesLamports || 0);
+  // An account created by a SOL payout holds the payout on top of its rent,
+  // so what each transaction paid out in lamports is taken off
+  const solPaid = {};
+  const addSolPaid = (signature, destination, amount) => {
+    if (!signature) return;
+    const paid = (solPaid[signature] = solPaid[signature] || {});
+    paid[destination] = (paid[destination] || 0n) + BigInt(amount);
+  };
+  for (const leg of legs.filter((leg) => isNativeSol(leg.mint))) {
+    for (const batch of run.batches.filter((batch) => batch.mint === leg.id)) {
+      for (const transfer of batch.transfers || []) {
+        addSolPaid(batch.signature, transfer.destination, transfer.amount);
+      }
+    }
+    for (const name of Object.keys(report.legs[leg.id]?.recipients || {})) {
+      const step = run.steps[`${name}:${leg.id}`];
+      if (step?.wallet) addSolPaid(step.signature, step.wallet, step.amount);
+    }
+  }
+  const rentPaid = landed
+    .filter((tx) => !tx.err)
+    .reduce(
+      (sum, tx) =>
+        sum +
+        tx.created.reduce(
+          (s, key) =>
+            s + tx.lamports[key] - (solPaid[tx.signature]?.[key] || 0n),
+          0n
+        ),
+      0n
+    );
+  const fees = {
+    networkLamports: networkFees.toString(),
+    budgetedLamports: expectedFees.toString(),
+    failedTransactionLamports: landed
+      .filter((tx) => tx.err)
+      .reduce((sum, tx) => sum + tx.fee, 0n)
+      .toString(),
+    rentLamports: rentPaid.toString(),
+    budgetedRentLamports: String(run.ataRentLamports || 0),
+  };
+  if (networkFees > expectedFees) {
+    discrepancies.push(
+      discrepancy("fees", { name: "network fees" }, expectedFees, networkFees)
+    );
+  }
+  if (rentPaid > BigInt(run.ataRentLamports || 0)) {
+    discrepancies.push(
+      discrepancy(
+        "fees",
+        { name: "ATA rent" },
+        BigInt(run.ataRentLamports || 0),
+        rentPaid
+      )
+    );
+  }
+
+  const reconciliation = {
+    runId: run.id,
+    reconciledAt: new Date().toISOString(),
+    transactions: sources.length,
+    notFound,
+    fees,
+    legs: legReports.map(({ discrepancies, ...leg }) => leg),
+    discrepancies,
+  };
+  saveReconciliation(run.id, reconciliation);
+  console.error(
+    `Reconciled ${sources.length} transactions of run ${run.id}: ${
+      discrepancies.length
+    } discrepancies, ${notFound.length} not found`
+  );
+  for (const entry of discrepancies) {
+    console.error(`  ${entry.kind}: ${JSON.stringify(entry)}`);
+  }
+  return reconciliation;
+}
+
+module.exports = { reconcileRun };
@@ -0,0 +1,205 @@
+const crypto = require("crypto");
+const bs58 = require("bs58");
+const { PublicKey } = require("../utils/solana");
+const { dataPath, readJson, writeJsonAtomic } = require("../utils/store");
+const {
+  validatePreference,
+  setPreference,
+  clearPreference,
+} = require("./preferences");
+const {
+  MINT_ADDRESS,
+  REGISTRATIONS,
+  OWNER_POLICIES,
+} = require("../config/constants");
+
+// Holders talk to the bot through messages signed with their wallet key:
+//
+//   DRT registration
+//   Mint: <MINT_ADDRESS>
+//   Wallet: <holder address>
+//   Action: redirect | preference | clear-redirect | clear-preference
+//   Value: <redirect address or output mint, empty for clear-*>
+//   Nonce: <any string, unique per wallet>
+//   Expires: <ISO 8601 timestamp>
+//
+// A submission is { message, signature } with the ed25519 signature over the
+// exact message bytes, base58 encoded (what wallet signMessage returns).
+// The mint binds a message to this token, so one signed for another
+// deployment of the bot cannot be replayed here.
+const REGISTRATIONS_FILE = dataPath("registrations.json");
+const MESSAGE_HEADER = "DRT registration";
+const ACTIONS = [
+  "redirect",
+  "preference",
+  "clear-redirect",
+  "clear-preference",
+];
+
+// DER prefix that turns a raw 32-byte ed25519 key into an SPKI public key
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+function loadRegistrations() {
+  return readJson(REGISTRATIONS_FILE, {
+    redirects: {},
+    nonces: {},
+    submissions: [],
+  });
+}
+
+function parseMessage(message) {
+  const lines = message.trim().split(/\r?\n/);
+  if (lines[0].trim() !== MESSAGE_HEADER) {
+    throw new Error(`Message must start with "${MESSAGE_HEADER}"`);
+  }
+  const fields = {};
+  for (const line of lines.slice(1)) {
+    const separator = line.indexOf(":");
+    if (separator === -1) throw new Error(`Malformed line "${line}"`);
+    fields[line.slice(0, separator).trim().toLowerCase()] = line
+      .slice(separator + 1)
+      .trim();
+  }
+  for (const field of ["mint", "wallet", "action", "nonce", "expires"]) {
+    if (!fields[field]) throw new Error(`Message is missing "${field}"`);
+  }
+  if (!ACTIONS.includes(fields.action)) {
+    throw new Error(
+      `Unknown action "${fields.action}" (expected one of ${ACTIONS.join(
+        ", "
+      )})`
+    );
+  }
+  const expiresAt = Date.parse(fields.expires);
+  if (Number.isNaN(expiresAt)) {
+    throw new Error(`Invalid expiry "${fields.expires}"`);
+  }
+  return {
+    mint: fields.mint,
+    wallet: fields.wallet,
+    action: fields.action,
+    value: fields.value || null,
+    nonce: fields.nonce,
+    expiresAt,
+  };
+}
+
+function verifySignature(message, signature, wallet) {
+  const publicKey = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, new PublicKey(wallet).toBuffer()]),
+    format: "der",
+    type: "spki",
+  });
+  return crypto.verify(
+    null,
+    Buffer.from(message, "utf-8"),
+    publicKey,
+    Buffer.from(bs58.default.decode(signature))
+  );
+}
+
+function validateRedirect(wallet, value) {
+  if (!value) throw new Error("redirect needs an address");
+  let redirectPk;
+  try {
+    redirectPk = new PublicKey(value);
+  } catch (error) {
+    throw new Error(`Invalid redirect address "${value}"`);
+  }
+  // Payouts go to the redirect's ATA, which only wallet keys can own
+  if (!PublicKey.isOnCurve(redirectPk)) {
+    throw new Error(`Redirect address ${value} is not a wallet key`);
+  }
+  if (value === wallet) throw new Error("Redirect points at the same wallet");
+}
+
+/**
+ * Verifies a signed registration and applies it. Rejects messages for another
+ * mint, bad signatures, expired messages, expiries further out than
+ * REGISTRATIONS.maxLifetimeMs and any nonce the wallet has already used.
+ * Returns the stored submission.
+ */
+function submitRegistration({ message, signature }, now = Date.now()) {
+  const request = parseMessage(message);
+  const { mint, wallet, action, value, nonce, expiresAt } = request;
+
+  if (mint !== MINT_ADDRESS.toBase58()) {
+    throw new Error(`Registration is for mint ${mint}, not this one`);
+  }
+  if (!verifySignature(message, signature, wallet)) {
+    throw new Error(`Signature does not match wallet ${wallet}`);
+  }
+  if (expiresAt <= now) throw new Error("Registration has expired");
+  if (expiresAt - now > REGISTRATIONS.maxLifetimeMs) {
+    throw new Error("Registration expiry is too far in the future");
+  }
+
+  const registrations = loadRegistrations();
+  // Expired nonces can go: a message carrying one would be rejected anyway
+  for (const [owner, nonces] of Object.entries(registrations.nonces)) {
+    for (const [used, expiry] of Object.entries(nonces)) {
+      if (expiry <= now) delete nonces[used];
+    }
+    if (Object.keys(nonces).length === 0) delete registrations.nonces[owner];
+  }
+  if (registrations.nonces[wallet]?.[nonce] !== undefined) {
+    throw new Error(`Nonce ${nonce} was already used by ${wallet}`);
+  }
+
+  if (action === "redirect") {
+    validateRedirect(wallet, value);
+    registrations.redirects[wallet] = value;
+  } else if (action === "clear-redirect") {
+    delete registrations.redirects[wallet];
+  } else if (action === "preference") {
+    validatePreference(value);
+  }
+
+  const submission = {
+    ...request,
+    expiresAt: new Date(expiresAt).toISOString(),
+    signature,
+    receivedAt: new Date(now).toISOString(),
+  };
+  registrations.nonces[wallet] = {
+    ...registrations.nonces[wallet],
+    [nonce]: expiresAt,
+  };
+  registrations.submissions.push(submission);
+  // The nonce is stored (with any redirect) before a preference is written,
+  // so a crash in between cannot leave an applied message replayable
+  writeJsonAtomic(REGISTRATIONS_FILE, registrations);
+  if (action === "preference") setPreference(wallet, value);
+  if (action === "clear-preference") clearPreference(wallet);
+  console.error(`Applied ${action} registration for ${wallet}`);
+  return submission;
+}
+
+/**
+ * Copies the redirects of the snapshot's eligible holders into the snapshot,
+ * so a resumed run pays the addresses it started with. Owners without a
+ * signed redirect fall back to the one configured in OWNER_POLICIES.
+ */
+function attachRedirects(snapshot) {
+  const { redirects } = loadRegistrations();
+  const configured = OWNER_POLICIES.redirects || {};
+  snapshot.redirects = {};
+  for (const holder of snapshot.holders) {
+    const redirect = redirects[holder.address] || configured[holder.address];
+    if (redirect) snapshot.redirects[holder.address] = redirect;
+  }
+  return snapshot;
+}
+
+/**
+ * Returns the wallet a holder's rewards go to: its redirect, or itself.
+ */
+function payoutAddress(snapshot, address) {
+  return (snapshot.redirects && snapshot.redirects[address]) || address;
+}
+
+module.exports = {
+  submitRegistration,
+  attachRedirects,
+  payoutAddress,
+};
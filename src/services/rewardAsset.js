@@ -0,0 +1,170 @@
+const crypto = require("crypto");
+const { getAssociatedTokenAddressSync } = require("@solana/spl-token");
+const { connection, PublicKey } = require("../utils/solana");
+const { readState, writeState } = require("../utils/store");
+const { isNativeSol } = require("../utils/helpers");
+const { getBestQuote } = require("./swap");
+const { getTokenPricesUsd } = require("./price");
+const { getTokenProgram } = require("./recipientAccounts");
+const {
+  OUTPUT_MINTS,
+  MINT_ADDRESS,
+  REWARD_ASSET_STRATEGY,
+} = require("../config/constants");
+
+// A strategy is { name, select(context) } where select resolves to
+// { mint, reason, details? }. The context carries:
+//   withdrawnAmount  DRT about to be swapped, in base units
+//   treasuryWallet   PublicKey whose holdings the treasury strategy balances
+//   dryRun           true when planning; strategies must not persist anything
+
+const roundRobin = {
+  name: "round-robin",
+  async select({ dryRun }) {
+    const position = readState("roundRobinPosition", 0) % OUTPUT_MINTS.length;
+    if (!dryRun) {
+      writeState("roundRobinPosition", (position + 1) % OUTPUT_MINTS.length);
+    }
+    return {
+      mint: OUTPUT_MINTS[position],
+      reason: `position ${position + 1}/${OUTPUT_MINTS.length} in rotation`,
+    };
+  },
+};
+
+const weightedRandom = {
+  name: "weighted-random",
+  async select(context, config = REWARD_ASSET_STRATEGY) {
+    const weights = OUTPUT_MINTS.map((mint) => config.weights[mint] || 0);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total <= 0) throw new Error("weighted-random needs positive weights");
+
+    let roll = crypto.randomInt(total);
+    const index = weights.findIndex((weight) => (roll -= weight) < 0);
+    return {
+      mint: OUTPUT_MINTS[index],
+      reason: `rolled ${weights[index]}/${total} weight`,
+    };
+  },
+};
+
+const treasuryTarget = {
+  name: "treasury-target",
+  async select({ treasuryWallet }, config = REWARD_ASSET_STRATEGY) {
+    const prices = await getTokenPricesUsd(OUTPUT_MINTS);
+    const holdings = {};
+    for (const mint of OUTPUT_MINTS) {
+      holdings[mint] =
+        (await getUiBalance(treasuryWallet, mint)) * (prices[mint] || 0);
+    }
+    const totalUsd = Object.values(holdings).reduce((sum, v) => sum + v, 0);
+    const totalBps = Object.values(config.treasuryTargets).reduce(
+      (sum, bps) => sum + bps,
+      0
+    );
+    if (totalBps <= 0) throw new Error("treasury-target needs target weights");
+
+    // Pick the asset furthest below its target share of the treasury
+    let best = null;
+    for (const mint of OUTPUT_MINTS) {
+      const target = (config.treasuryTargets[mint] || 0) / totalBps;
+      const actual = totalUsd > 0 ? holdings[mint] / totalUsd : 0;
+      const deficit = target - actual;
+      if (!best || deficit > best.deficit) {
+        best = { mint, target, actual, deficit };
+      }
+    }
+    return {
+      mint: best.mint,
+      reason: `treasury holds ${(best.actual * 100).toFixed(1)}% vs ${(
+        best.target * 100
+      ).toFixed(1)}% target`,
+      details: { holdingsUsd: holdings },
+    };
+  },
+};
+
+const cheapestRoute = {
+  name: "cheapest-route",
+  async select({ withdrawnAmount }) {
+    const impacts = {};
+    for (const mint of OUTPUT_MINTS) {
+      try {
+        const quote = await getBestQuote(
+          MINT_ADDRESS.toBase58(),
+          mint,
+          withdrawnAmount
+        );
+        impacts[mint] = parseFloat(quote.priceImpactPct);
+      } catch (error) {
+        console.error(`No quote for ${mint}:`, error.message);
+      }
+    }
+    const quoted = Object.keys(impacts);
+    if (quoted.length === 0) throw new Error("No swap quotes available");
+
+    const mint = quoted.reduce((a, b) => (impacts[b] < impacts[a] ? b : a));
+    return {
+      mint,
+      reason: `lowest price impact ${(impacts[mint] * 100).toFixed(3)}%`,
+      details: { priceImpactPct: impacts },
+    };
+  },
+};
+
+const STRATEGIES = Object.fromEntries(
+  [roundRobin, weightedRandom, treasuryTarget, cheapestRoute].map((s) => [
+    s.name,
+    s,
+  ])
+);
+
+async function getUiBalance(ownerPk, mint) {
+  if (isNativeSol(mint)) {
+    return (await connection.getBalance(ownerPk)) / 1e9;
+  }
+  const ata = getAssociatedTokenAddressSync(
+    new PublicKey(mint),
+    ownerPk,
+    true,
+    await getTokenProgram(mint)
+  );
+  try {
+    const { value } = await connection.getTokenAccountBalance(ata);
+    return value.uiAmount || 0;
+  } catch (error) {
+    return 0; // No account yet
+  }
+}
+
+/**
+ * Picks this cycle's reward asset with the configured strategy and returns
+ * the decision, including which strategy made it and why.
+ */
+async function selectRewardAsset(context, config = REWARD_ASSET_STRATEGY) {
+  const strategy = STRATEGIES[config.name];
+  if (!strategy) {
+    throw new Error(
+      `Unknown reward asset strategy "${config.name}" (expected one of ${Object.keys(
+        STRATEGIES
+      ).join(", ")})`
+    );
+  }
+
+  const selection = await strategy.select(context, config);
+  if (!OUTPUT_MINTS.includes(selection.mint)) {
+    throw new Error(
+      `Strategy ${strategy.name} picked unknown mint ${selection.mint}`
+    );
+  }
+  console.error(
+    `Strategy ${strategy.name} picked ${selection.mint}: ${selection.reason}`
+  );
+  return {
+    strategy: strategy.name,
+    ...selection,
+    selectedAt: new Date().toISOString(),
+  };
+}
+
+module.exports = { selectRewardAsset, STRATEGIES };
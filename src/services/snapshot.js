@@ -0,0 +1,28 @@
+const { applyExclusionRules } = require("./eligibility");
+const { attachPreferences } = require("./preferences");
+const { attachRedirects } = require("./registrations");
+const { recordBalances, applyTwab } = require("./balanceHistory");
+const { TWAB } = require("../config/constants");
+
+/**
+ * Eligible holders plus the preferences and redirects they registered. With
+ * TWAB enabled, balances are time-weighted averages and `record` also stores
+ * the live balances as a history sample; the daemon's sampling timer is what
+ * normally writes the history.
+ */
+async function buildSnapshot(holders, withdrawAuthority, record = false) {
+  let twab = null;
+  if (TWAB.enabled) {
+    const now = Date.now();
+    if (record) recordBalances(holders, now);
+    ({ holders, window: twab } = applyTwab(holders, now));
+  }
+  const snapshot = await applyExclusionRules(
+    holders,
+    withdrawAuthority.publicKey
+  );
+  snapshot.twab = twab;
+  return attachRedirects(attachPreferences(snapshot));
+}
+
+module.exports = { buildSnapshot };
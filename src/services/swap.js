@@ -1,134 +1,164 @@
-const fetch = require("node-fetch");
-const { VersionedTransaction, PublicKey } = require("@solana/web3.js");
-const { connection } = require("../utils/solana");
-const { SLIPPAGE_BPS } = require("../config/constants");
+const bs58 = require("bs58");
+const { SendTransactionError } = require("@solana/web3.js");
+const {
+  connection,
+  buildVersionedTransaction,
+  resolveSignature,
+} = require("../utils/solana");
+const { chargePriorityFee } = require("./journal");
+const { applyFeePolicy } = require("./feePolicy");
+const { getRouter, getQuotes } = require("./swapRouters");
 
-// Priority fee settings
-const PRIORITY_FEE_MICROLAMPORTS = 100000; // 0.1 SOL, adjust as needed
-const COMPUTE_UNITS = 600000; // For swaps, adjust based on simulation
+/**
+ * Quotes on every configured router, best first by output after their fees.
+ * Throws when no router quotes.
+ */
+async function getSwapQuotes(inputMint, outputMint, amount) {
+  const { quotes, failures } = await getQuotes(inputMint, outputMint, amount);
+  if (quotes.length === 0) {
+    throw new Error(
+      `Quote fetch failed: ${failures
+        .map(({ router, error }) => `${router}: ${error}`)
+        .join("; ")}`
+    );
+  }
+  return quotes;
+}
 
-async function fetchWithRetry(url, options, retries = 5, delay = 50000) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const response = await fetch(url, options);
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(
-          `HTTP error! status: ${response.status}, body: ${errorText}`
-        );
-      }
-      return response;
-    } catch (error) {
-      if (attempt === retries) throw error;
-      console.log(
-        `Fetch attempt ${attempt}/${retries} failed: ${error.message}. Retrying in ${delay}ms...`
-      );
-      await new Promise((resolve) => setTimeout(resolve, delay));
-    }
+async function getBestQuote(inputMint, outputMint, amount) {
+  return (await getSwapQuotes(inputMint, outputMint, amount))[0];
+}
+
+/**
+ * Builds the swap transaction for a quote with the router that made it,
+ * replaces the router's compute budget with one from the fee policy and
+ * signs it with a fresh blockhash.
+ */
+async function buildSwap(
+  withdrawAuthority,
+  quote,
+  isSolOutput,
+  { attempt = 0, run = null, strict = true } = {}
+) {
+  let built;
+  try {
+    built = await getRouter(quote.router).buildInstructions(
+      quote,
+      withdrawAuthority.publicKey,
+      isSolOutput
+    );
+  } catch (error) {
+    throw new Error(`${quote.router} swap request failed: ${error.message}`);
   }
+  const { instructions, lookupTables } = built;
+  const fees = await applyFeePolicy(withdrawAuthority.publicKey, instructions, {
+    lookupTables,
+    attempt,
+    run,
+    strict,
+  });
+
+  const { blockhash, lastValidBlockHeight } =
+    await connection.getLatestBlockhash("confirmed");
+  const swapTransaction = buildVersionedTransaction(
+    withdrawAuthority.publicKey,
+    fees.instructions,
+    lookupTables,
+    blockhash
+  );
+  swapTransaction.sign([withdrawAuthority]);
+
+  return { swapTransaction, blockhash, lastValidBlockHeight, fees };
 }
 
-async function performJupiterSwap(
+/**
+ * Swaps `amount` through the router with the best quote. When building the
+ * swap fails, or its simulation does, the next best quote is tried; once a
+ * transaction is signed and reported through `onSigned` there is no
+ * fallback. `onSigned` also receives the router, the quoted output and the
+ * slippage threshold.
+ */
+async function performSwap(
   withdrawAuthority,
   inputMint,
   outputMint,
   amount,
-  isSolOutput
+  isSolOutput,
+  onSigned,
+  feeOptions = {}
 ) {
-  // Step 1: Get quote from Jupiter
-  const quoteUrl = `https://api.jup.ag/swap/v1/quote?inputMint=${inputMint}&outputMint=${outputMint}&amount=${amount.toString()}&slippageBps=${SLIPPAGE_BPS}`;
+  // Step 1: Quote on every router
+  const quotes = await getSwapQuotes(inputMint, outputMint, amount);
 
-  let quoteData;
-  try {
-    const quoteResponse = await fetchWithRetry(quoteUrl);
-    quoteData = await quoteResponse.json();
-    if (!quoteData || quoteData.error) {
-      throw new Error(
-        "Failed to get quote: " + (quoteData?.error || "Unknown error")
+  // Step 2: Request and sign the swap transaction; the fee policy simulates
+  // it to size the compute limit and throws if the simulation fails
+  let built = null;
+  let quote = null;
+  for (const candidate of quotes) {
+    try {
+      built = await buildSwap(
+        withdrawAuthority,
+        candidate,
+        isSolOutput,
+        feeOptions
       );
+      quote = candidate;
+      break;
+    } catch (error) {
+      console.error(`Swap via ${candidate.router} failed: ${error.message}`);
     }
-  } catch (error) {
-    throw new Error(`Quote fetch failed: ${error.message}`);
   }
-
-  // Step 2: Request swap transaction with priority fees included
-  let swapData;
-  try {
-    const swapResponse = await fetchWithRetry(
-      "https://api.jup.ag/swap/v1/swap",
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          quoteResponse: quoteData,
-          userPublicKey: withdrawAuthority.publicKey.toBase58(),
-          wrapAndUnwrapSol: isSolOutput,
-          computeUnitPriceMicroLamports: PRIORITY_FEE_MICROLAMPORTS, // Priority fee
-          computeUnitLimit: COMPUTE_UNITS, // Compute budget
-        }),
-      }
-    );
-    swapData = await swapResponse.json();
-    if (swapData.error) {
-      throw new Error("Swap failed: " + swapData.error);
-    }
-  } catch (error) {
-    throw new Error(`Swap request failed: ${error.message}`);
+  if (!built) {
+    throw new Error(`No router could build the swap to ${outputMint}`);
   }
+  const { swapTransaction, lastValidBlockHeight, fees } = built;
+  const swapSignature = bs58.default.encode(swapTransaction.signatures[0]);
+  console.error(
+    `Swapping via ${quote.router} for ${quote.outAmount} quoted. Budget: ${fees.computeUnits} compute units at ${fees.microLamports} µLamports`
+  );
 
-  // Step 3: Deserialize the VersionedTransaction
-  const swapTransactionBuf = Buffer.from(swapData.swapTransaction, "base64");
-  const swapTransaction = VersionedTransaction.deserialize(swapTransactionBuf);
-
-  // Step 4: Update blockhash and sign (no manual instruction modification)
-  const { blockhash, lastValidBlockHeight } =
-    await connection.getLatestBlockhash("confirmed");
-  swapTransaction.message.recentBlockhash = blockhash; // Update blockhash
-  swapTransaction.sign([withdrawAuthority]); // Sign with the updated blockhash
-
-  // Step 5: Simulate transaction (optional, for debugging)
-  const simulation = await connection.simulateTransaction(swapTransaction);
-  if (simulation.value.err) {
-    throw new Error(
-      `Simulation failed: ${JSON.stringify(simulation.value.err)}`
-    );
+  // Step 3: Report the signature before sending so a crash can be resolved later
+  if (onSigned) {
+    await onSigned({
+      signature: swapSignature,
+      lastValidBlockHeight,
+      router: quote.router,
+      quotedOutAmount: quote.outAmount,
+      minOutAmount: quote.minOutAmount,
+    });
   }
-  console.log(
-    `Swap simulation: ${simulation.value.unitsConsumed} compute units used`
-  );
 
-  // Step 6: Send and confirm transaction
-  const swapSignature = await connection.sendRawTransaction(
-    swapTransaction.serialize(),
-    {
+  // Step 4: Send and wait for the outcome. Errors carry `signature` and,
+  // when known, `outcome`, as signAndSend's do.
+  try {
+    await connection.sendRawTransaction(swapTransaction.serialize(), {
       skipPreflight: false,
       maxRetries: 10,
       preflightCommitment: "confirmed",
-    }
-  );
-
-  try {
-    const confirmation = await connection.confirmTransaction(
-      {
-        signature: swapSignature,
-        blockhash,
-        lastValidBlockHeight,
-      },
-      "confirmed",
-      { maxRetries: 10 }
-    );
-
-    if (confirmation.value.err) {
-      throw new Error(
-        `Confirmation failed: ${JSON.stringify(confirmation.value.err)}`
-      );
-    }
-
-    console.log(`Swap completed. TX: ${swapSignature}`);
-    return swapSignature;
+    });
   } catch (error) {
-    throw new Error(`Swap confirmation failed: ${error.message}`);
+    error.signature = swapSignature;
+    // The RPC rejected it in preflight, so it was never forwarded
+    if (error instanceof SendTransactionError) error.outcome = "failed";
+    throw error;
   }
+
+  const outcome = await resolveSignature(swapSignature, lastValidBlockHeight);
+  if (outcome !== "confirmed") {
+    const error = new Error(`Swap ${swapSignature} ${outcome}`);
+    error.signature = swapSignature;
+    error.outcome = outcome;
+    throw error;
+  }
+
+  chargePriorityFee(feeOptions.run, fees.priorityFeeLamports);
+  console.error(`Swap completed. TX: ${swapSignature}`);
+  return swapSignature;
 }
 
-module.exports = { performJupiterSwap };
+module.exports = {
+  getSwapQuotes,
+  getBestQuote,
+  buildSwap,
+  performSwap,
+};
@@ -0,0 +1,122 @@
+const { getMint } = require("@solana/spl-token");
+const { connection, PublicKey } = require("../utils/solana");
+const { getBestQuote } = require("./swap");
+const { getDrtPriceInUsd, getTokenPricesUsd } = require("./price");
+const { getTokenProgram } = require("./recipientAccounts");
+const { SWAP_GUARD, MINT_ADDRESS } = require("../config/constants");
+
+async function getDecimals(mint) {
+  const { decimals } = await getMint(
+    connection,
+    new PublicKey(mint),
+    "confirmed",
+    await getTokenProgram(mint)
+  );
+  return decimals;
+}
+
+/**
+ * What `amount` of `inputMint` is worth in `outputMint` base units at the
+ * reference USD prices (the price oracle for DRT, the price API otherwise),
+ * or null when either price is missing.
+ */
+async function getReferenceOutAmount(inputMint, outputMint, amount) {
+  try {
+    const prices = await getTokenPricesUsd(
+      inputMint === MINT_ADDRESS.toBase58()
+        ? [outputMint]
+        : [inputMint, outputMint]
+    );
+    const inputUsd =
+      inputMint === MINT_ADDRESS.toBase58()
+        ? await getDrtPriceInUsd()
+        : prices[inputMint];
+    const outputUsd = prices[outputMint];
+    if (!inputUsd || !outputUsd) return null;
+    const [inputDecimals, outputDecimals] = await Promise.all([
+      getDecimals(inputMint),
+      getDecimals(outputMint),
+    ]);
+    return (
+      ((Number(amount) / 10 ** inputDecimals) *
+        inputUsd *
+        10 ** outputDecimals) /
+      outputUsd
+    );
+  } catch (error) {
+    console.error(
+      `No reference price for ${inputMint} -> ${outputMint}:`,
+      error
+    );
+    return null;
+  }
+}
+
+/**
+ * Measures how far swapping `amount` in one go would move the price: the
+ * quote's own price impact, and how much less it returns than the reference
+ * prices imply. When the worse of the two is above
+ * SWAP_GUARD.maxPriceImpactPct the swap is split into enough chunks to bring
+ * each under it, assuming impact shrinks with size, up to `maxChunks`.
+ * Percentages are in percent. Quotes the swap unless given `quote`.
+ */
+async function assessSwap(
+  inputMint,
+  outputMint,
+  amount,
+  quote = null,
+  config = SWAP_GUARD
+) {
+  const quoted = quote || (await getBestQuote(inputMint, outputMint, amount));
+  const priceImpactPct = parseFloat(quoted.priceImpactPct) * 100;
+  const referenceOutAmount = await getReferenceOutAmount(
+    inputMint,
+    outputMint,
+    amount
+  );
+  const referenceShortfallPct =
+    referenceOutAmount === null
+      ? null
+      : (1 - Number(quoted.outAmount) / referenceOutAmount) * 100;
+
+  const worstPct = Math.max(priceImpactPct, referenceShortfallPct ?? 0);
+  let chunks = 1;
+  if (config.enabled && worstPct > config.maxPriceImpactPct) {
+    chunks = Math.min(
+      config.maxChunks,
+      Math.ceil(worstPct / config.maxPriceImpactPct)
+    );
+    console.error(
+      `Swap of ${amount} moves the price ${worstPct.toFixed(
+        2
+      )}% (limit ${config.maxPriceImpactPct}%); splitting it into ${chunks} chunks`
+    );
+  }
+  return {
+    router: quoted.router,
+    quotedOutAmount: quoted.outAmount,
+    priceImpactPct,
+    referenceOutAmount:
+      referenceOutAmount === null
+        ? null
+        : Math.floor(referenceOutAmount).toString(),
+    referenceShortfallPct,
+    chunks,
+  };
+}
+
+/**
+ * Splits `amount` into `chunks` amounts that differ by at most one base unit
+ * and sum to exactly `amount`.
+ */
+function splitAmount(amount, chunks) {
+  const total = BigInt(amount);
+  const base = total / BigInt(chunks);
+  const remainder = Number(total % BigInt(chunks));
+  return Array.from(
+    { length: chunks },
+    (_, i) => base + (i < remainder ? 1n : 0n)
+  );
+}
+
+module.exports = { assessSwap, splitAmount };
@@ -0,0 +1,312 @@
+const fetch = require("node-fetch");
+const { VersionedTransaction, TransactionMessage } = require("@solana/web3.js");
+const { getAssociatedTokenAddressSync, getMint } = require("@solana/spl-token");
+const { connection, PublicKey } = require("../utils/solana");
+const { isNativeSol } = require("../utils/helpers");
+const { getTokenProgram } = require("./recipientAccounts");
+const { getPriorityFee } = require("./feePolicy");
+const { getTokenPricesUsd } = require("./price");
+const { estimateFeeLamports } = require("./plan");
+const { SLIPPAGE_BPS, SWAP_ROUTERS } = require("../config/constants");
+
+// A router is { name, quote(request, config), buildInstructions(quote,
+// owner, isSolOutput, config) }. `quote` resolves to a normalized quote:
+//   router          name of the router that made it
+//   inAmount        input in base units, as a string
+//   outAmount       output after the router's pool and platform fees
+//   minOutAmount    output at the slippage limit
+//   priceImpactPct  price impact as a fraction, as a string
+//   route           labels of the pools or venues it goes through
+//   raw             the router's own response, needed to build the swap
+// getQuotes adds what sending each one would cost:
+//   feeLamports     estimated network and priority fee
+//   netOutAmount    outAmount less that fee valued in the output token
+// `buildInstructions` resolves to the swap's { instructions, lookupTables },
+// compute budget included; the caller replaces that with the fee policy's.
+
+async function fetchWithRetry(url, options, config = SWAP_ROUTERS) {
+  const { retries, retryDelayMs, timeoutMs } = config;
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      const response = await fetch(url, { timeout: timeoutMs, ...options });
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(
+          `HTTP error! status: ${response.status}, body: ${errorText}`
+        );
+      }
+      return response;
+    } catch (error) {
+      if (attempt === retries) throw error;
+      console.error(
+        `Fetch attempt ${attempt}/${retries} failed: ${error.message}. Retrying in ${retryDelayMs}ms...`
+      );
+      await new Promise((resolve) => setTimeout(resolve, retryDelayMs));
+    }
+  }
+}
+
+async function fetchLookupTables(message) {
+  const tables = [];
+  for (const lookup of message.addressTableLookups) {
+    const { value } = await connection.getAddressLookupTable(lookup.accountKey);
+    if (!value) throw new Error(`Lookup table ${lookup.accountKey} not found`);
+    tables.push(value);
+  }
+  return tables;
+}
+
+/**
+ * Turns a base64 serialized v0 transaction back into its instructions and
+ * the lookup tables they load accounts from.
+ */
+async function decompileTransaction(serialized) {
+  const transaction = VersionedTransaction.deserialize(
+    Buffer.from(serialized, "base64")
+  );
+  const lookupTables = await fetchLookupTables(transaction.message);
+  const { instructions } = TransactionMessage.decompile(transaction.message, {
+    addressLookupTableAccounts: lookupTables,
+  });
+  return { instructions, lookupTables };
+}
+
+const jupiter = {
+  name: "jupiter",
+  async quote({ inputMint, outputMint, amount }, config = SWAP_ROUTERS) {
+    const { baseUrl } = config.jupiter;
+    const response = await fetchWithRetry(
+      `${baseUrl}/quote?inputMint=${inputMint}&outputMint=${outputMint}&amount=${amount.toString()}&slippageBps=${SLIPPAGE_BPS}`,
+      {},
+      config
+    );
+    const data = await response.json();
+    if (!data || data.error || !data.outAmount) {
+      throw new Error(`No quote: ${data?.error || "empty response"}`);
+    }
+    return {
+      router: "jupiter",
+      inAmount: data.inAmount,
+      outAmount: data.outAmount,
+      minOutAmount: data.otherAmountThreshold,
+      priceImpactPct: String(data.priceImpactPct),
+      route: (data.routePlan || []).map((step) => step.swapInfo?.label),
+      raw: data,
+    };
+  },
+  async buildInstructions(quote, owner, isSolOutput, config = SWAP_ROUTERS) {
+    const response = await fetchWithRetry(
+      `${config.jupiter.baseUrl}/swap`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          quoteResponse: quote.raw,
+          userPublicKey: owner.toBase58(),
+          wrapAndUnwrapSol: isSolOutput,
+        }),
+      },
+      config
+    );
+    const data = await response.json();
+    if (data.error) throw new Error(`Swap failed: ${data.error}`);
+    return decompileTransaction(data.swapTransaction);
+  },
+};
+
+// Raydium's trade API quotes and builds swaps across its AMM, CPMM and CLMM
+// pools. Its price impact comes as a percentage.
+const raydium = {
+  name: "raydium",
+  async quote({ inputMint, outputMint, amount }, config = SWAP_ROUTERS) {
+    const { baseUrl } = config.raydium;
+    const response = await fetchWithRetry(
+      `${baseUrl}/compute/swap-base-in?inputMint=${inputMint}&outputMint=${outputMint}&amount=${amount.toString()}&slippageBps=${SLIPPAGE_BPS}&txVersion=V0`,
+      {},
+      config
+    );
+    const body = await response.json();
+    if (!body.success || !body.data) {
+      throw new Error(`No quote: ${body.msg || "empty response"}`);
+    }
+    const { data } = body;
+    return {
+      router: "raydium",
+      inAmount: String(data.inputAmount),
+      outAmount: String(data.outputAmount),
+      minOutAmount: String(data.otherAmountThreshold),
+      priceImpactPct: String(Number(data.priceImpactPct || 0) / 100),
+      route: (data.routePlan || []).map((step) => step.poolId),
+      raw: body,
+    };
+  },
+  async buildInstructions(quote, owner, isSolOutput, config = SWAP_ROUTERS) {
+    const { inputMint, outputMint } = quote.raw.data;
+    const tokenAccount = async (mint) =>
+      getAssociatedTokenAddressSync(
+        new PublicKey(mint),
+        owner,
+        false,
+        await getTokenProgram(mint)
+      ).toBase58();
+    const response = await fetchWithRetry(
+      `${config.raydium.baseUrl}/transaction/swap-base-in`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          // Replaced by the fee policy's price before sending
+          computeUnitPriceMicroLamports: "0",
+          swapResponse: quote.raw,
+          txVersion: "V0",
+          wallet: owner.toBase58(),
+          wrapSol: isNativeSol(inputMint),
+          unwrapSol: isSolOutput,
+          inputAccount: isNativeSol(inputMint)
+            ? undefined
+            : await tokenAccount(inputMint),
+          outputAccount: isSolOutput
+            ? undefined
+            : await tokenAccount(outputMint),
+        }),
+      },
+      config
+    );
+    const body = await response.json();
+    if (!body.success || !body.data?.length) {
+      throw new Error(`Swap failed: ${body.msg || "no transaction"}`);
+    }
+    // The swap is journaled as one step, so it has to be one transaction
+    if (body.data.length > 1) {
+      throw new Error(`Swap needs ${body.data.length} transactions`);
+    }
+    return decompileTransaction(body.data[0].transaction);
+  },
+};
+
+const ROUTERS = Object.fromEntries(
+  [jupiter, raydium].map((router) => [router.name, router])
+);
+
+function getRouter(name) {
+  const router = ROUTERS[name];
+  if (!router) {
+    throw new Error(
+      `Unknown swap router "${name}" (expected one of ${Object.keys(
+        ROUTERS
+      ).join(", ")})`
+    );
+  }
+  return router;
+}
+
+const SOL_MINT = "So11111111111111111111111111111111111111112";
+const MAX_COMPUTE_UNITS = 1_400_000;
+
+/**
+ * The compute unit price a swap would pay now, and what one lamport is
+ * worth in `outputMint` base units at the price API's USD prices.
+ */
+async function getFeeTerms(outputMint) {
+  const microLamports = await getPriorityFee([]);
+  if (isNativeSol(outputMint)) return { microLamports, outputPerLamport: 1 };
+  const [prices, { decimals }] = await Promise.all([
+    getTokenPricesUsd([outputMint, SOL_MINT]),
+    getMint(
+      connection,
+      new PublicKey(outputMint),
+      "confirmed",
+      await getTokenProgram(outputMint)
+    ),
+  ]);
+  if (!prices[outputMint] || !prices[SOL_MINT]) {
+    throw new Error(`No USD price for ${outputMint} or SOL`);
+  }
+  return {
+    microLamports,
+    outputPerLamport:
+      (prices[SOL_MINT] / prices[outputMint]) * 10 ** (decimals - 9),
+  };
+}
+
+/**
+ * Sorts `quotes` best first by output after the cost of sending them: the
+ * base fee plus the priority fee for SWAP_ROUTERS.computeUnitsPerHop per
+ * pool or venue on the route, valued in the output token. Without fee terms
+ * the quotes are ranked by output alone.
+ */
+function rankQuotes(quotes, terms, config = SWAP_ROUTERS) {
+  for (const quote of quotes) {
+    const computeUnits = Math.min(
+      config.computeUnitsPerHop * Math.max(quote.route.length, 1),
+      MAX_COMPUTE_UNITS
+    );
+    const feeLamports = terms
+      ? estimateFeeLamports(terms.microLamports, computeUnits)
+      : 0;
+    const feeCost = terms
+      ? BigInt(Math.ceil(feeLamports * terms.outputPerLamport))
+      : 0n;
+    quote.feeLamports = feeLamports;
+    quote.netOutAmount = (BigInt(quote.outAmount) - feeCost).toString();
+  }
+  return quotes.sort((a, b) =>
+    BigInt(b.netOutAmount) > BigInt(a.netOutAmount)
+      ? 1
+      : BigInt(b.netOutAmount) < BigInt(a.netOutAmount)
+      ? -1
+      : 0
+  );
+}
+
+/**
+ * Quotes `amount` of `inputMint` to `outputMint` on every configured router
+ * at once. Returns the quotes best first, by output after the routers' fees
+ * and the cost of sending the swap (see rankQuotes), and `failures` as
+ * { router, error } for the routers that gave none. `feeTerms` stands in
+ * for getFeeTerms.
+ */
+async function getQuotes(
+  inputMint,
+  outputMint,
+  amount,
+  config = SWAP_ROUTERS,
+  feeTerms = getFeeTerms
+) {
+  const routers = config.routers.map(getRouter);
+  const results = await Promise.allSettled(
+    routers.map((router) =>
+      router.quote({ inputMint, outputMint, amount }, config)
+    )
+  );
+  const quotes = [];
+  const failures = [];
+  results.forEach((result, i) => {
+    if (result.status === "fulfilled") {
+      quotes.push(result.value);
+    } else {
+      console.error(
+        `No ${routers[i].name} quote for ${outputMint}: ${result.reason.message}`
+      );
+      failures.push({
+        router: routers[i].name,
+        error: result.reason.message,
+      });
+    }
+  });
+
+  // Fees only matter when there is a choice of quotes
+  let terms = null;
+  if (quotes.length > 1) {
+    try {
+      terms = await feeTerms(outputMint);
+    } catch (error) {
+      console.error(
+        `Ranking ${outputMint} quotes without fees: ${error.message}`
+      );
+    }
+  }
+  return { quotes: rankQuotes(quotes, terms, config), failures };
+}
+
+module.exports = { ROUTERS, getRouter, getQuotes, rankQuotes };
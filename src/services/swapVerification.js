@@ -0,0 +1,164 @@
+const {
+  connection,
+  fetchBalanceChanges,
+  parseBalanceChanges,
+} = require("../utils/solana");
+const { isNativeSol } = require("../utils/helpers");
+const { readState, writeState } = require("../utils/store");
+const { SWAP_VERIFICATION, MINT_ADDRESS } = require("../config/constants");
+
+// Paused output mints live in state.json under "swapPauses":
+//   { mint: { pausedAt, until, reason, signature } }
+const PAUSES_KEY = "swapPauses";
+
+function alert(message) {
+  console.error(`ALERT: ${message}`);
+}
+
+/**
+ * Throws when swaps into `mint` are paused. Pauses lapse on their own after
+ * SWAP_VERIFICATION.pauseMs.
+ */
+function assertSwapsAllowed(mint, now = Date.now()) {
+  const pause = readState(PAUSES_KEY, {})[mint];
+  if (pause && Date.parse(pause.until) > now) {
+    throw new Error(
+      `Swaps to ${mint} are paused until ${pause.until}: ${pause.reason}`
+    );
+  }
+}
+
+function pauseSwaps(mint, reason, signature) {
+  const pauses = readState(PAUSES_KEY, {});
+  const pausedAt = new Date();
+  pauses[mint] = {
+    pausedAt: pausedAt.toISOString(),
+    until: new Date(
+      pausedAt.getTime() + SWAP_VERIFICATION.pauseMs
+    ).toISOString(),
+    reason,
+    signature,
+  };
+  writeState(PAUSES_KEY, pauses);
+  alert(`Pausing swaps to ${mint} until ${pauses[mint].until}: ${reason}`);
+}
+
+/**
+ * Looks for a sandwich around `swap` in its block: a transaction before it
+ * and one after it, from the same fee payer, both writing an account the
+ * swap wrote that is not the authority's (the pool's state and vaults), the
+ * first buying the swap's output mint and the second selling it.
+ */
+async function findSandwich(swap, authority, outputMint) {
+  const block = await connection.getBlock(swap.slot, {
+    commitment: "confirmed",
+    maxSupportedTransactionVersion: 0,
+    transactionDetails: "full",
+    rewards: false,
+  });
+  if (!block) return null;
+
+  const poolAccounts = new Set(
+    swap.writable.filter(
+      (key) => key !== authority && swap.tokenOwners[key] !== authority
+    )
+  );
+  const transactions = block.transactions.map((tx) =>
+    parseBalanceChanges(tx, swap.slot)
+  );
+  const position = transactions.findIndex(
+    (tx) => tx.signature === swap.signature
+  );
+  if (position === -1) return null;
+
+  const touchesPool = (tx) =>
+    !tx.err && tx.writable.some((key) => poolAccounts.has(key));
+  const bought = (tx) => tx.owners[`${tx.feePayer}:${outputMint}`] || 0n;
+  for (const front of transactions.slice(0, position)) {
+    if (!touchesPool(front) || front.feePayer === authority) continue;
+    if (bought(front) <= 0n) continue;
+    const back = transactions
+      .slice(position + 1)
+      .find(
+        (tx) =>
+          tx.feePayer === front.feePayer && touchesPool(tx) && bought(tx) < 0n
+      );
+    if (back) {
+      return {
+        attacker: front.feePayer,
+        front: front.signature,
+        back: back.signature,
+        bought: bought(front).toString(),
+        sold: (-bought(back)).toString(),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Compares a confirmed swap with its quote: the amounts actually swapped are
+ * read from the transaction, the output is checked against the quoted output
+ * and the slippage threshold, and the block is searched for a sandwich. A
+ * shortfall over SWAP_VERIFICATION.shortfallToleranceBps, or output under the
+ * threshold, pauses swaps to the mint.
+ */
+async function verifySwap(
+  authority,
+  { signature, quotedOutAmount, minOutAmount },
+  outputMint
+) {
+  const swap = await fetchBalanceChanges(signature);
+  if (!swap) throw new Error(`Swap ${signature} not found`);
+
+  const owner = authority.toBase58();
+  const amountIn = -(swap.owners[`${owner}:${MINT_ADDRESS.toBase58()}`] || 0n);
+  // The authority pays the fee, so it is added back to its SOL change
+  const amountOut = isNativeSol(outputMint)
+    ? (swap.lamports[owner] || 0n) + swap.fee
+    : swap.owners[`${owner}:${outputMint}`] || 0n;
+  const quoted = BigInt(quotedOutAmount || 0);
+  const shortfallBps =
+    quoted > 0n ? Number(((quoted - amountOut) * 10000n) / quoted) : null;
+  const belowMinimum =
+    minOutAmount !== undefined && amountOut < BigInt(minOutAmount);
+
+  const sandwich = SWAP_VERIFICATION.checkSandwich
+    ? await findSandwich(swap, owner, outputMint)
+    : null;
+
+  const verification = {
+    amountIn: amountIn.toString(),
+    amountOut: amountOut.toString(),
+    quotedOutAmount,
+    minOutAmount,
+    shortfallBps,
+    belowMinimum,
+    sandwich,
+    verifiedAt: new Date().toISOString(),
+  };
+  if (sandwich) {
+    alert(
+      `Swap ${signature} looks sandwiched by ${sandwich.attacker} (${sandwich.front} / ${sandwich.back})`
+    );
+  }
+  if (belowMinimum) {
+    pauseSwaps(
+      outputMint,
+      `received ${amountOut}, under the ${minOutAmount} threshold`,
+      signature
+    );
+  } else if (
+    shortfallBps !== null &&
+    shortfallBps > SWAP_VERIFICATION.shortfallToleranceBps
+  ) {
+    pauseSwaps(
+      outputMint,
+      `received ${amountOut} of ${quoted} quoted (${shortfallBps} bps short)`,
+      signature
+    );
+  }
+  return verification;
+}
+
+module.exports = { assertSwapsAllowed, verifySwap };
@@ -6,18 +6,25 @@ const {
   TOKEN_2022_PROGRAM_ID,
   TOKEN_PROGRAM_ID,
   createTransferInstruction,
+  getTransferFeeConfig,
+  getTransferFeeAmount,
+  unpackAccount,
 } = require("@solana/spl-token");
 const fetch = require("node-fetch");
+const { connection, PublicKey, signAndSend } = require("../utils/solana");
 const {
-  connection,
-  PublicKey,
-  Transaction,
-  sendAndConfirmTransaction,
-} = require("../utils/solana");
-const { ComputeBudgetProgram } = require("@solana/web3.js");
-const { MINT_ADDRESS, RPC_URL } = require("../config/constants");
-
-const COMPUTE_UNITS = 50000;
+  MINT_ADDRESS,
+  RPC_URL,
+  HARVEST_BATCH_SIZE,
+} = require("../config/constants");
+const {
+  getStep,
+  recordStep,
+  settleStep,
+  chargePriorityFee,
+  executeStep,
+} = require("./journal");
+const { applyFeePolicy } = require("./feePolicy");
 
 async function fetchWithRetry(url, options, retries = 5, delay = 1000) {
   for (let attempt = 1; attempt <= retries; attempt++) {
@@ -32,7 +39,7 @@ async function fetchWithRetry(url, options, retries = 5, delay = 1000) {
       return response;
     } catch (error) {
       if (attempt === retries) throw error;
-      console.log(
+      console.error(
         `Fetch attempt ${attempt}/${retries} failed: ${error.message}. Retrying in ${delay}ms...`
       );
       await new Promise((resolve) => setTimeout(resolve, delay));
@@ -52,15 +59,6 @@ async function retryOperation(operation, maxRetries = 10, delayMs = 500) {
   }
 }
 
-async function getDynamicPriorityFee(connection) {
-  const recentFees = await connection.getRecentPrioritizationFees();
-  const medianFee =
-    recentFees.map((f) => f.prioritizationFee).sort((a, b) => a - b)[
-      Math.floor(recentFees.length / 2)
-    ] || 0;
-  return Math.max(medianFee, 10000);
-}
-
 async function getTokenHolders() {
   const fetchPage = async (page) => {
     const response = await fetchWithRetry(RPC_URL, {
@@ -87,7 +85,7 @@ async function getTokenHolders() {
   let hasMore = true;
 
   while (hasMore) {
-    console.log(`Fetching page ${page} of token holders...`);
+    console.error(`Fetching page ${page} of token holders...`);
     const pageHolders = await fetchPage(page);
     allHolders.push(...pageHolders);
 
@@ -103,11 +101,11 @@ async function getTokenHolders() {
   }
 
   if (!allHolders.length) {
-    console.log("No token holders found.");
+    console.error("No token holders found.");
     return [];
   }
 
-  console.log(`Fetched ${allHolders.length} token holders in total.`);
+  console.error(`Fetched ${allHolders.length} token holders in total.`);
 
   return allHolders.map((account) => ({
     tokenAccount: account.address,
@@ -116,9 +114,15 @@ async function getTokenHolders() {
   }));
 }
 
-async function withdrawFees(withdrawAuthority) {
+async function withdrawFees(withdrawAuthority, run = null) {
   const startTime = Date.now();
 
+  const withdrawStep = await settleStep(run, "withdraw");
+  if (withdrawStep?.status === "confirmed" && withdrawStep.amount) {
+    console.error(`Withdraw already confirmed in run ${run.id}`);
+    return BigInt(withdrawStep.amount);
+  }
+
   // Create destination token account
   const destinationTokenAccount = await retryOperation(() =>
     getOrCreateAssociatedTokenAccount(
@@ -133,23 +137,53 @@ async function withdrawFees(withdrawAuthority) {
     )
   );
 
-  const initialBalance = await connection.getTokenAccountBalance(
+  // A resumed run keeps the balance it saw before its first withdraw attempt,
+  // so a withdraw that landed right before a crash is still counted.
+  let initialAmount;
+  if (withdrawStep?.initialAmount) {
+    initialAmount = BigInt(withdrawStep.initialAmount);
+  } else {
+    const initialBalance = await connection.getTokenAccountBalance(
+      destinationTokenAccount.address,
+      "confirmed"
+    );
+    initialAmount = BigInt(initialBalance.value.amount);
+    recordStep(run, "withdraw", { initialAmount: initialAmount.toString() });
+  }
+
+  if (getStep(run, "withdraw")?.status !== "confirmed") {
+    await harvestAndWithdraw(
+      withdrawAuthority,
+      destinationTokenAccount.address,
+      run
+    );
+  }
+
+  const finalBalance = await connection.getTokenAccountBalance(
     destinationTokenAccount.address,
     "confirmed"
   );
-  const initialAmount = BigInt(initialBalance.value.amount);
+  const finalAmount = BigInt(finalBalance.value.amount);
 
+  const withdrawnAmount = finalAmount - initialAmount;
+  recordStep(run, "withdraw", { amount: withdrawnAmount.toString() });
+  console.error("Withdrawn amount (calculated):", withdrawnAmount);
+  console.error(`Withdraw took ${Date.now() - startTime}ms`);
+
+  return withdrawnAmount;
+}
+
+async function harvestAndWithdraw(withdrawAuthority, destination, run) {
   const holders = await getTokenHolders();
-  console.log(`Found ${holders.length} token accounts from Helius API`);
+  console.error(`Found ${holders.length} token accounts from Helius API`);
   const tokenAccounts = holders.map((h) => new PublicKey(h.tokenAccount));
 
-  const BATCH_SIZE = 25;
   const batches = [];
-  for (let i = 0; i < tokenAccounts.length; i += BATCH_SIZE) {
-    batches.push(tokenAccounts.slice(i, i + BATCH_SIZE));
+  for (let i = 0; i < tokenAccounts.length; i += HARVEST_BATCH_SIZE) {
+    batches.push(tokenAccounts.slice(i, i + HARVEST_BATCH_SIZE));
   }
 
-  console.log(
+  console.error(
     `Harvesting from ${tokenAccounts.length} token accounts in ${batches.length} batches...`
   );
   const harvestSignatures = [];
@@ -157,53 +191,30 @@ async function withdrawFees(withdrawAuthority) {
   // Process batches sequentially with retries
   for (let i = 0; i < batches.length; i++) {
     const batch = batches[i];
-    console.log(
+    console.error(
       `Processing batch ${i + 1}/${batches.length} with ${
         batch.length
       } accounts...`
     );
 
+    let attempt = 0;
     const signature = await retryOperation(
       async () => {
-        const tx = new Transaction();
-        const priorityFee = await getDynamicPriorityFee(connection);
-        tx.add(
-          ComputeBudgetProgram.setComputeUnitPrice({
-            microLamports: priorityFee,
-          })
-        );
-        tx.add(
-          ComputeBudgetProgram.setComputeUnitLimit({
-            units: COMPUTE_UNITS,
-          })
-        );
-
-        tx.add(
-          createHarvestWithheldTokensToMintInstruction(
-            MINT_ADDRESS,
-            batch,
-            TOKEN_2022_PROGRAM_ID
-          )
+        // Each rebroadcast pays a higher priority fee than the last
+        const fees = await applyFeePolicy(
+          withdrawAuthority.publicKey,
+          [
+            createHarvestWithheldTokensToMintInstruction(
+              MINT_ADDRESS,
+              batch,
+              TOKEN_2022_PROGRAM_ID
+            ),
+          ],
+          { attempt: attempt++, run }
         );
-
-        const { blockhash, lastValidBlockHeight } =
-          await connection.getLatestBlockhash("confirmed");
-        tx.recentBlockhash = blockhash;
-        tx.lastValidBlockHeight = lastValidBlockHeight;
-        tx.feePayer = withdrawAuthority.publicKey;
-
-        const signature = await sendAndConfirmTransaction(
-          connection,
-          tx,
-          [withdrawAuthority],
-          {
-            commitment: "confirmed",
-            maxRetries: 10,
-            skipPreflight: false,
-            preflightCommitment: "confirmed",
-          }
-        );
-        console.log(
+        const signature = await signAndSend(fees, [withdrawAuthority]);
+        chargePriorityFee(run, fees.priorityFeeLamports);
+        console.error(
           `Harvest batch ${i + 1} completed. Signature: ${signature}`
         );
         return signature;
@@ -222,70 +233,83 @@ async function withdrawFees(withdrawAuthority) {
   }
 
   // Only proceed if all batches succeeded
-  console.log(
+  console.error(
     `All ${batches.length} harvest batches completed successfully. Signatures:`,
     harvestSignatures
   );
-
-  console.log("Withdrawing withheld tokens from the mint...");
-  const withdrawTx = new Transaction();
-  const withdrawPriorityFee = await getDynamicPriorityFee(connection);
-  withdrawTx.add(
-    ComputeBudgetProgram.setComputeUnitPrice({
-      microLamports: withdrawPriorityFee,
-    })
-  );
-  withdrawTx.add(
-    ComputeBudgetProgram.setComputeUnitLimit({
-      units: COMPUTE_UNITS,
-    })
-  );
-
-  withdrawTx.add(
-    createWithdrawWithheldTokensFromMintInstruction(
-      MINT_ADDRESS,
-      destinationTokenAccount.address,
-      withdrawAuthority.publicKey,
-      [],
-      TOKEN_2022_PROGRAM_ID
-    )
-  );
-
-  const { blockhash, lastValidBlockHeight } =
-    await connection.getLatestBlockhash("confirmed");
-  withdrawTx.recentBlockhash = blockhash;
-  withdrawTx.lastValidBlockHeight = lastValidBlockHeight;
-  withdrawTx.feePayer = withdrawAuthority.publicKey;
-
+  // Harvesting is idempotent, so a resumed run simply harvests again
+  recordStep(run, "harvest", {
+    status: "confirmed",
+    signatures: harvestSignatures,
+  });
+
+  console.error("Withdrawing withheld tokens from the mint...");
+  let attempt = 0;
   const withdrawSignature = await retryOperation(() =>
-    sendAndConfirmTransaction(connection, withdrawTx, [withdrawAuthority], {
-      commitment: "confirmed",
-      maxRetries: 20,
-      skipPreflight: false,
-      preflightCommitment: "confirmed",
-    })
+    executeStep(
+      run,
+      "withdraw",
+      async () =>
+        applyFeePolicy(
+          withdrawAuthority.publicKey,
+          [
+            createWithdrawWithheldTokensFromMintInstruction(
+              MINT_ADDRESS,
+              destination,
+              withdrawAuthority.publicKey,
+              [],
+              TOKEN_2022_PROGRAM_ID
+            ),
+          ],
+          { attempt: attempt++, run }
+        ),
+      [withdrawAuthority]
+    )
   );
-  console.log("Withdrawal transaction signature:", withdrawSignature);
+  console.error("Withdrawal transaction signature:", withdrawSignature);
+}
 
-  const finalBalance = await connection.getTokenAccountBalance(
-    destinationTokenAccount.address,
-    "confirmed"
+/**
+ * Sums what a harvest plus withdraw would collect right now: fees withheld on
+ * the mint and on every holder token account. Read-only.
+ */
+async function estimateWithdrawableFees(holders) {
+  const mint = await getMint(
+    connection,
+    MINT_ADDRESS,
+    "confirmed",
+    TOKEN_2022_PROGRAM_ID
   );
-  const finalAmount = BigInt(finalBalance.value.amount);
+  let total = getTransferFeeConfig(mint)?.withheldAmount || 0n;
 
-  const withdrawnAmount = finalAmount - initialAmount;
-  console.log("Withdrawn amount (calculated):", withdrawnAmount);
-  console.log(`Withdraw took ${Date.now() - startTime}ms`);
-
-  return withdrawnAmount;
+  const tokenAccounts = holders.map((h) => new PublicKey(h.tokenAccount));
+  for (let i = 0; i < tokenAccounts.length; i += 100) {
+    const chunk = tokenAccounts.slice(i, i + 100);
+    const infos = await connection.getMultipleAccountsInfo(chunk, "confirmed");
+    infos.forEach((info, j) => {
+      if (!info) return;
+      const account = unpackAccount(chunk[j], info, TOKEN_2022_PROGRAM_ID);
+      total += getTransferFeeAmount(account)?.withheldAmount || 0n;
+    });
+  }
+  return total;
 }
 
-async function getSplBalance(mintPk, ownerPk, payer) {
+async function getSplBalance(
+  mintPk,
+  ownerPk,
+  payer,
+  tokenProgram = TOKEN_PROGRAM_ID
+) {
   const ata = await getOrCreateAssociatedTokenAccount(
     connection,
     payer,
     mintPk,
-    ownerPk
+    ownerPk,
+    false,
+    undefined,
+    undefined,
+    tokenProgram
   );
   const balanceInfo = await connection.getTokenAccountBalance(ata.address);
   return {
@@ -297,6 +321,7 @@ async function getSplBalance(mintPk, ownerPk, payer) {
 module.exports = {
   getTokenHolders,
   withdrawFees,
+  estimateWithdrawableFees,
   getSplBalance,
   getOrCreateAssociatedTokenAccount,
   getMint,
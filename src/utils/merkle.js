@@ -0,0 +1,78 @@
+const crypto = require("crypto");
+const { PublicKey } = require("./solana");
+
+// Leaves and inner nodes hash under different prefixes, so an inner node can
+// never be passed off as a leaf. Pairs are hashed in sorted order, which lets
+// a proof be a plain list of sibling hashes.
+const LEAF_PREFIX = Buffer.from([0]);
+const NODE_PREFIX = Buffer.from([1]);
+
+function sha256(...parts) {
+  return crypto.createHash("sha256").update(Buffer.concat(parts)).digest();
+}
+
+/**
+ * Hash of one claim: owner (32 bytes), mint (32 bytes), amount (u64 LE).
+ */
+function hashLeaf(owner, mint, amount) {
+  const amountBytes = Buffer.alloc(8);
+  amountBytes.writeBigUInt64LE(BigInt(amount));
+  return sha256(
+    LEAF_PREFIX,
+    new PublicKey(owner).toBuffer(),
+    new PublicKey(mint).toBuffer(),
+    amountBytes
+  );
+}
+
+function hashPair(a, b) {
+  return Buffer.compare(a, b) <= 0
+    ? sha256(NODE_PREFIX, a, b)
+    : sha256(NODE_PREFIX, b, a);
+}
+
+/**
+ * Builds a Merkle tree over `{ owner, mint, amount }` leaves and returns the
+ * hex root with one proof (hex sibling hashes, bottom up) per leaf, in leaf
+ * order. A node without a sibling moves up a level unchanged.
+ */
+function buildMerkleTree(leaves) {
+  if (leaves.length === 0) return { root: null, proofs: [] };
+  let level = leaves.map(({ owner, mint, amount }) =>
+    hashLeaf(owner, mint, amount)
+  );
+  // Position of each leaf's ancestor in the current level
+  const positions = leaves.map((_, i) => i);
+  const proofs = leaves.map(() => []);
+
+  while (level.length > 1) {
+    for (const [leaf, position] of positions.entries()) {
+      const sibling = position ^ 1;
+      if (sibling < level.length) {
+        proofs[leaf].push(level[sibling].toString("hex"));
+      }
+      positions[leaf] = position >> 1;
+    }
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(
+        i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]
+      );
+    }
+    level = next;
+  }
+  return { root: level[0].toString("hex"), proofs };
+}
+
+/**
+ * Checks that `proof` links the `{ owner, mint, amount }` claim to `root`.
+ */
+function verifyProof({ owner, mint, amount }, proof, root) {
+  let hash = hashLeaf(owner, mint, amount);
+  for (const sibling of proof) {
+    hash = hashPair(hash, Buffer.from(sibling, "hex"));
+  }
+  return hash.toString("hex") === root;
+}
+
+module.exports = { hashLeaf, buildMerkleTree, verifyProof };
@@ -2,9 +2,11 @@ const {
   Connection,
   Keypair,
   PublicKey,
+  SendTransactionError,
   SystemProgram,
   sendAndConfirmTransaction,
   Transaction,
+  TransactionMessage,
   VersionedTransaction,
 } = require("@solana/web3.js");
 const { RPC_URL } = require("../config/constants");
@@ -16,13 +18,258 @@ const connection = new Connection(RPC_URL, {
   fetch: (url, options) => fetch(url, { ...options, timeout: 30000 }),
 });
 
+// Largest serialized transaction the network accepts
+const MAX_TRANSACTION_SIZE = 1232;
+// Most accounts a single transaction may lock
+const MAX_TRANSACTION_ACCOUNTS = 64;
+
 function getWithdrawAuthority(privateKey) {
   return Keypair.fromSecretKey(bs58.default.decode(privateKey));
 }
 
+// getSignatureStatuses accepts at most this many signatures per call
+const MAX_STATUS_SIGNATURES = 256;
+
+function statusOutcome(status, blockHeight, lastValidBlockHeight) {
+  if (status && status.err) return "failed";
+  if (
+    status &&
+    (status.confirmationStatus === "confirmed" ||
+      status.confirmationStatus === "finalized")
+  ) {
+    return "confirmed";
+  }
+  if (!status && blockHeight > lastValidBlockHeight) return "expired";
+  return null;
+}
+
+/**
+ * Polls `{ signature, lastValidBlockHeight }` entries together until each is
+ * confirmed, failed on chain, or its blockhash expired without it landing.
+ * Resolves to one "confirmed", "failed" or "expired" per entry, in order.
+ */
+async function resolveSignatures(entries, pollMs = 2000) {
+  const outcomes = entries.map(() => null);
+  for (;;) {
+    // Read the height first: if it is already past expiry, a status that is
+    // still missing afterwards can never show up.
+    const blockHeight = await connection.getBlockHeight("confirmed");
+    const open = entries
+      .map((entry, index) => ({ ...entry, index }))
+      .filter(({ index }) => outcomes[index] === null);
+    for (let i = 0; i < open.length; i += MAX_STATUS_SIGNATURES) {
+      const chunk = open.slice(i, i + MAX_STATUS_SIGNATURES);
+      const { value } = await connection.getSignatureStatuses(
+        chunk.map((entry) => entry.signature),
+        { searchTransactionHistory: true }
+      );
+      chunk.forEach((entry, j) => {
+        outcomes[entry.index] = statusOutcome(
+          value[j],
+          blockHeight,
+          entry.lastValidBlockHeight
+        );
+      });
+    }
+    if (outcomes.every((outcome) => outcome !== null)) return outcomes;
+
+    await new Promise((resolve) => setTimeout(resolve, pollMs));
+  }
+}
+
+/**
+ * Polls a signature until it is confirmed, fails on chain, or its blockhash
+ * expires without it landing. Resolves to "confirmed", "failed" or "expired".
+ */
+async function resolveSignature(
+  signature,
+  lastValidBlockHeight,
+  pollMs = 2000
+) {
+  const [outcome] = await resolveSignatures(
+    [{ signature, lastValidBlockHeight }],
+    pollMs
+  );
+  return outcome;
+}
+
+/**
+ * Compiles instructions into an unsigned v0 transaction that loads accounts
+ * through `lookupTables`. Without a blockhash it is only good for measuring
+ * or simulating.
+ */
+function buildVersionedTransaction(
+  payerKey,
+  instructions,
+  lookupTables = [],
+  recentBlockhash = PublicKey.default.toBase58()
+) {
+  const message = new TransactionMessage({
+    payerKey,
+    recentBlockhash,
+    instructions,
+  }).compileToV0Message(lookupTables);
+  return new VersionedTransaction(message);
+}
+
+/**
+ * Whether instructions compiled against `lookupTables` fit in one
+ * transaction, by serialized size and account count.
+ */
+function fitsInTransaction(payerKey, instructions, lookupTables = []) {
+  const { message } = buildVersionedTransaction(
+    payerKey,
+    instructions,
+    lookupTables
+  );
+  const accounts = message.addressTableLookups.reduce(
+    (sum, lookup) =>
+      sum + lookup.writableIndexes.length + lookup.readonlyIndexes.length,
+    message.staticAccountKeys.length
+  );
+  if (accounts > MAX_TRANSACTION_ACCOUNTS) return false;
+  try {
+    // Signatures included; serializing past the packet size throws
+    const size = new VersionedTransaction(message).serialize().length;
+    return size <= MAX_TRANSACTION_SIZE;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Signs a transaction with a fresh blockhash and reports its signature
+ * through `onSigned` before anything reaches the network, then sends it and
+ * waits for the outcome. Takes a legacy `Transaction` or, for a v0
+ * transaction, `{ instructions, lookupTables }`. Errors carry `signature`
+ * and, when known, `outcome`.
+ */
+async function signAndSend(transaction, signers, onSigned) {
+  const { blockhash, lastValidBlockHeight } =
+    await connection.getLatestBlockhash("confirmed");
+  let signature;
+  if (!(transaction instanceof Transaction)) {
+    // { instructions, lookupTables }: compiled to v0 against the blockhash
+    transaction = buildVersionedTransaction(
+      signers[0].publicKey,
+      transaction.instructions,
+      transaction.lookupTables,
+      blockhash
+    );
+    transaction.sign(signers);
+    signature = bs58.default.encode(transaction.signatures[0]);
+  } else {
+    transaction.recentBlockhash = blockhash;
+    transaction.lastValidBlockHeight = lastValidBlockHeight;
+    transaction.feePayer = signers[0].publicKey;
+    transaction.sign(...signers);
+    signature = bs58.default.encode(transaction.signature);
+  }
+  if (onSigned) await onSigned({ signature, lastValidBlockHeight });
+
+  try {
+    await connection.sendRawTransaction(transaction.serialize(), {
+      skipPreflight: false,
+      maxRetries: 10,
+      preflightCommitment: "confirmed",
+    });
+  } catch (error) {
+    error.signature = signature;
+    // The RPC rejected it in preflight, so it was never forwarded
+    if (error instanceof SendTransactionError) error.outcome = "failed";
+    throw error;
+  }
+
+  const outcome = await resolveSignature(signature, lastValidBlockHeight);
+  if (outcome !== "confirmed") {
+    const error = new Error(`Transaction ${signature} ${outcome}`);
+    error.signature = signature;
+    error.outcome = outcome;
+    throw error;
+  }
+  return signature;
+}
+
+/**
+ * Folds a confirmed transaction (as getTransaction or getBlock return it) into
+ * its fee, whether it failed, the accounts it wrote, and the balance change of
+ * every account: lamports per address, tokens per token account and per
+ * "owner:mint", and the owner of every token account.
+ */
+function parseBalanceChanges(tx, slot = tx.slot) {
+  const { meta } = tx;
+  const { message } = tx.transaction;
+  const keys = message
+    .getAccountKeys({ accountKeysFromLookups: meta.loadedAddresses })
+    .keySegments()
+    .flat()
+    .map((key) => key.toBase58());
+
+  const lamports = {};
+  const created = [];
+  keys.forEach((key, i) => {
+    const delta = BigInt(meta.postBalances[i]) - BigInt(meta.preBalances[i]);
+    if (delta !== 0n) lamports[key] = delta;
+    if (meta.preBalances[i] === 0 && meta.postBalances[i] > 0)
+      created.push(key);
+  });
+
+  // Token balances are listed per account index before and after
+  const tokens = {};
+  const owners = {};
+  const tokenOwners = {};
+  const apply = (balances, sign) => {
+    for (const { accountIndex, mint, owner, uiTokenAmount } of balances || []) {
+      const account = keys[accountIndex];
+      const amount = BigInt(uiTokenAmount.amount) * sign;
+      tokens[account] = (tokens[account] || 0n) + amount;
+      tokenOwners[account] = owner;
+      const ownerKey = `${owner}:${mint}`;
+      owners[ownerKey] = (owners[ownerKey] || 0n) + amount;
+    }
+  };
+  apply(meta.preTokenBalances, -1n);
+  apply(meta.postTokenBalances, 1n);
+
+  return {
+    signature: tx.transaction.signatures[0],
+    slot,
+    err: meta.err,
+    fee: BigInt(meta.fee),
+    signatures: tx.transaction.signatures.length,
+    feePayer: keys[0],
+    writable: keys.filter((_, i) => message.isAccountWritable(i)),
+    lamports,
+    tokens,
+    owners,
+    tokenOwners,
+    created,
+  };
+}
+
+/**
+ * Fetches a confirmed transaction and parses it with `parseBalanceChanges`,
+ * or returns null when the node does not have it.
+ */
+async function fetchBalanceChanges(signature) {
+  const tx = await connection.getTransaction(signature, {
+    commitment: "confirmed",
+    maxSupportedTransactionVersion: 0,
+  });
+  if (!tx) return null;
+  return parseBalanceChanges(tx);
+}
+
 module.exports = {
   connection,
   getWithdrawAuthority,
+  resolveSignature,
+  resolveSignatures,
+  signAndSend,
+  parseBalanceChanges,
+  fetchBalanceChanges,
+  buildVersionedTransaction,
+  fitsInTransaction,
   PublicKey,
   SystemProgram,
   sendAndConfirmTransaction,
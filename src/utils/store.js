@@ -0,0 +1,64 @@
+const fs = require("fs");
+const path = require("path");
+
+const DATA_DIR = path.resolve(__dirname, "../data");
+
+function dataPath(...segments) {
+  return path.join(DATA_DIR, ...segments);
+}
+
+// BigInt amounts are stored as decimal strings; callers convert back with BigInt()
+function jsonReplacer(key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * Reads a JSON file, returning `fallback` when it does not exist yet.
+ */
+function readJson(filePath, fallback = null) {
+  if (!fs.existsSync(filePath)) return fallback;
+  return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+}
+
+/**
+ * Writes JSON to a temp file, fsyncs it and renames it over the target, so a
+ * crash mid-write leaves either the old file or the new one, never a torn one.
+ */
+function writeJsonAtomic(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpPath, "w");
+  try {
+    fs.writeSync(fd, JSON.stringify(value, jsonReplacer, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+const STATE_FILE = dataPath("state.json");
+
+/**
+ * Small key/value state that has to survive restarts (rotation positions and the like).
+ */
+function readState(key, fallback = null) {
+  const state = readJson(STATE_FILE, {});
+  return key in state ? state[key] : fallback;
+}
+
+function writeState(key, value) {
+  const state = readJson(STATE_FILE, {});
+  state[key] = value;
+  writeJsonAtomic(STATE_FILE, state);
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  jsonReplacer,
+  readJson,
+  writeJsonAtomic,
+  readState,
+  writeState,
+};
@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { allocate } = require("../src/services/allocation");
+
+const holder = (name, amount) => ({
+  address: `owner-${name}`,
+  tokenAccount: `account-${name}`,
+  amount,
+});
+
+const sumShares = (entries) => entries.reduce((sum, e) => sum + e.share, 0n);
+
+test("shares sum to exactly the pool", () => {
+  const holders = [holder("a", 333n), holder("b", 333n), holder("c", 334n)];
+  for (const amount of [1n, 2n, 999n, 1000n, 1001n, 123456789n]) {
+    const { entries, totals } = allocate({ holders, amount });
+    assert.equal(sumShares(entries), amount);
+    assert.equal(totals.allocated, amount);
+    assert.equal(totals.undistributed, 0n);
+  }
+});
+
+test("dust goes to the largest remainders, ties to the larger balance", () => {
+  // 10 over 1:1:1 leaves one unit of dust after 3 each; every remainder is
+  // equal, so it goes to the larger balance and then the smaller account
+  const { entries } = allocate({
+    holders: [holder("b", 1n), holder("a", 1n), holder("c", 1n)],
+    amount: 10n,
+  });
+  assert.deepEqual(
+    entries.map((e) => e.share),
+    [3n, 4n, 3n]
+  );
+
+  const larger = allocate({
+    holders: [holder("a", 2n), holder("b", 1n)],
+    amount: 4n,
+  });
+  // 8/3 and 4/3: the remainders are 2 and 1, so the dust goes to a
+  assert.deepEqual(
+    larger.entries.map((e) => e.share),
+    [3n, 1n]
+  );
+});
+
+test("the order of holders does not change the allocation", () => {
+  const holders = [holder("a", 7n), holder("b", 11n), holder("c", 13n)];
+  const forward = allocate({ holders, amount: 100n });
+  const backward = allocate({ holders: [...holders].reverse(), amount: 100n });
+  const byAccount = (entries) =>
+    Object.fromEntries(entries.map((e) => [e.tokenAccount, e.share]));
+  assert.deepEqual(byAccount(forward.entries), byAccount(backward.entries));
+});
+
+test("zero eligible supply allocates nothing", () => {
+  const { entries, totals } = allocate({
+    holders: [holder("a", 0n), holder("b", 0n)],
+    amount: 1000n,
+  });
+  assert.ok(entries.every((e) => e.share === 0n && e.status === "skipped"));
+  assert.equal(totals.allocated, 0n);
+  assert.equal(totals.undistributed, 1000n);
+
+  const none = allocate({ holders: [], amount: 1000n });
+  assert.equal(none.totals.distributable, 0n);
+  assert.equal(none.totals.recipients, 0);
+});
+
+test("a denominator keeps the excluded supply's part undistributed", () => {
+  const { totals } = allocate({
+    holders: [holder("a", 250n), holder("b", 250n)],
+    amount: 1000n,
+    denominator: 1000n,
+  });
+  assert.equal(totals.distributable, 500n);
+  assert.equal(totals.allocated, 500n);
+  assert.equal(totals.undistributed, 500n);
+});
+
+test("shares below the minimum payout are dropped and the rest resplit", () => {
+  const { entries, totals } = allocate({
+    holders: [holder("a", 1n), holder("b", 999n)],
+    amount: 100n,
+    minimumPayout: 5n,
+  });
+  assert.equal(entries[0].status, "skipped");
+  assert.match(entries[0].reason, /below minimum payout/);
+  assert.equal(entries[1].share, 100n);
+  assert.equal(totals.recipients, 1);
+});
+
+test("balances at or below the minimum balance are skipped", () => {
+  const { entries } = allocate({
+    holders: [holder("a", 10n), holder("b", 11n)],
+    amount: 100n,
+    minimumBalance: 10n,
+  });
+  assert.equal(entries[0].status, "skipped");
+  assert.equal(entries[1].share, 100n);
+});
+
+test("a negative amount is refused", () => {
+  assert.throws(
+    () => allocate({ holders: [holder("a", 1n)], amount: -1n }),
+    /negative amount/
+  );
+});
@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const { Keypair } = require("@solana/web3.js");
+
+// Nothing here may reach a real node, and no root is sent
+process.env.DRT_RPC_URL = "http://127.0.0.1:1";
+process.env.DRT_CLAIMS = JSON.stringify({ publishRoot: false });
+const { recordAccruals, publishClaims } = require("../src/services/claims");
+const { startClaimServer } = require("../src/services/claimServer");
+const { verifyProof } = require("../src/utils/merkle");
+const { dataPath } = require("../src/utils/store");
+
+const USDC = "EPjFWJd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
+const SOL = "So11111111111111111111111111111111111111112";
+
+// The claims are written to the data directory; whatever was there is moved
+// aside and put back afterwards
+const CLAIMS_DIR = dataPath("claims");
+const ASIDE = `${CLAIMS_DIR}.${process.pid}.aside`;
+const hadClaims = fs.existsSync(CLAIMS_DIR);
+
+let server;
+let baseUrl;
+test.before(async () => {
+  if (hadClaims) fs.renameSync(CLAIMS_DIR, ASIDE);
+  server = await startClaimServer({ host: "127.0.0.1", port: 0 });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(CLAIMS_DIR, { recursive: true, force: true });
+  if (hadClaims) fs.renameSync(ASIDE, CLAIMS_DIR);
+});
+
+const get = async (path) => {
+  const res = await fetch(`${baseUrl}${path}`);
+  return { status: res.status, body: await res.json() };
+};
+
+const owners = Array.from({ length: 5 }, () =>
+  Keypair.generate().publicKey.toBase58()
+);
+
+test("before anything is published there is nothing to serve", async () => {
+  assert.equal((await get("/root")).status, 404);
+  assert.equal((await get(`/claims/${owners[0]}`)).status, 404);
+});
+
+test("served proofs match the published root", async () => {
+  recordAccruals(
+    { id: "run-1" },
+    { id: "leg-usdc", mint: USDC },
+    {
+      [owners[0]]: "100",
+      [owners[1]]: "200",
+      [owners[2]]: "300",
+    }
+  );
+  recordAccruals(
+    { id: "run-1" },
+    { id: "leg-sol", mint: SOL },
+    {
+      [owners[0]]: "5",
+      [owners[3]]: "7",
+    }
+  );
+  const cycle = await publishClaims(null, { id: "run-1" });
+
+  const { status, body: root } = await get("/root");
+  assert.equal(status, 200);
+  assert.equal(root.root, cycle.root);
+  assert.equal(root.leafCount, 5);
+  assert.equal(root.claims, undefined);
+
+  const { body: claim } = await get(`/claims/${owners[0]}`);
+  assert.equal(claim.root, root.root);
+  assert.deepEqual(
+    claim.claims.map((c) => [c.mint, c.amount]),
+    [
+      [USDC, "100"],
+      [SOL, "5"],
+    ]
+  );
+  for (const { mint, amount, proof } of claim.claims) {
+    assert.ok(
+      verifyProof({ owner: owners[0], mint, amount }, proof, root.root)
+    );
+    assert.equal(
+      verifyProof(
+        { owner: owners[0], mint, amount: BigInt(amount) + 1n },
+        proof,
+        root.root
+      ),
+      false
+    );
+  }
+});
+
+test("totals are cumulative across runs", async () => {
+  recordAccruals(
+    { id: "run-2" },
+    { id: "leg-usdc", mint: USDC },
+    {
+      [owners[0]]: "50",
+      [owners[4]]: "10",
+    }
+  );
+  const cycle = await publishClaims(null, { id: "run-2" });
+
+  const { body: claim } = await get(`/claims/${owners[0]}`);
+  assert.equal(claim.runId, "run-2");
+  assert.equal(claim.root, cycle.root);
+  const usdc = claim.claims.find((c) => c.mint === USDC);
+  assert.equal(usdc.amount, "150");
+  assert.ok(
+    verifyProof(
+      { owner: owners[0], mint: USDC, amount: "150" },
+      usdc.proof,
+      cycle.root
+    )
+  );
+  assert.deepEqual(
+    claim.history.map((h) => [h.runId, h.mint, h.amount]),
+    [
+      ["run-1", USDC, "100"],
+      ["run-1", SOL, "5"],
+      ["run-2", USDC, "50"],
+    ]
+  );
+});
+
+test("an owner without claims gets none, a bad address is refused", async () => {
+  const { status, body } = await get(
+    `/claims/${Keypair.generate().publicKey.toBase58()}`
+  );
+  assert.equal(status, 200);
+  assert.deepEqual(body.claims, []);
+  assert.equal((await get("/claims/not-an-address")).status, 400);
+});
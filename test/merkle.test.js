@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Keypair } = require("@solana/web3.js");
+const { buildMerkleTree, verifyProof } = require("../src/utils/merkle");
+
+const USDC = "EPjFWJd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
+const SOL = "So11111111111111111111111111111111111111112";
+
+const claims = (count) =>
+  Array.from({ length: count }, (_, i) => ({
+    owner: Keypair.generate().publicKey.toBase58(),
+    mint: i % 2 ? SOL : USDC,
+    amount: BigInt(1000 + i),
+  }));
+
+test("every proof verifies against the root, for even and odd leaf counts", () => {
+  for (const count of [1, 2, 3, 4, 5, 7, 8, 13]) {
+    const leaves = claims(count);
+    const { root, proofs } = buildMerkleTree(leaves);
+    assert.equal(proofs.length, count);
+    leaves.forEach((leaf, i) => {
+      assert.ok(verifyProof(leaf, proofs[i], root), `leaf ${i} of ${count}`);
+    });
+  }
+});
+
+test("a single leaf is its own root", () => {
+  const { root, proofs } = buildMerkleTree(claims(1));
+  assert.deepEqual(proofs, [[]]);
+  assert.equal(root.length, 64);
+});
+
+test("no leaves build no tree", () => {
+  assert.deepEqual(buildMerkleTree([]), { root: null, proofs: [] });
+});
+
+test("a changed amount, owner or mint does not verify", () => {
+  for (const count of [1, 2, 3, 5]) {
+    const leaves = claims(count);
+    const { root, proofs } = buildMerkleTree(leaves);
+    const [leaf] = leaves;
+    assert.equal(
+      verifyProof({ ...leaf, amount: leaf.amount + 1n }, proofs[0], root),
+      false
+    );
+    assert.equal(
+      verifyProof(
+        { ...leaf, owner: Keypair.generate().publicKey.toBase58() },
+        proofs[0],
+        root
+      ),
+      false
+    );
+    assert.equal(
+      verifyProof(
+        { ...leaf, mint: leaf.mint === SOL ? USDC : SOL },
+        proofs[0],
+        root
+      ),
+      false
+    );
+  }
+});
+
+test("a proof only verifies its own leaf", () => {
+  const leaves = claims(3);
+  const { root, proofs } = buildMerkleTree(leaves);
+  assert.equal(verifyProof(leaves[1], proofs[0], root), false);
+  // The last leaf of an odd level moves up alone and has a shorter proof
+  assert.ok(proofs[2].length < proofs[0].length);
+});
+
+test("the tree depends on the leaves only", () => {
+  const leaves = claims(5);
+  assert.equal(buildMerkleTree(leaves).root, buildMerkleTree(leaves).root);
+  assert.notEqual(
+    buildMerkleTree(leaves).root,
+    buildMerkleTree(leaves.slice(0, 4)).root
+  );
+});
@@ -0,0 +1,189 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const bs58 = require("bs58");
+
+// Nothing here may reach a real node
+process.env.DRT_RPC_URL = "http://127.0.0.1:1";
+const {
+  submitRegistration,
+  attachRedirects,
+  payoutAddress,
+} = require("../src/services/registrations");
+const { getPreference } = require("../src/services/preferences");
+const { dataPath } = require("../src/utils/store");
+const {
+  MINT_ADDRESS,
+  OUTPUT_MINTS,
+  REGISTRATIONS,
+} = require("../src/config/constants");
+
+const NOW = Date.parse("2026-01-01T00:00:00Z");
+const HOUR = 60 * 60 * 1000;
+
+// The registrations write to the data directory; whatever was there is put
+// back afterwards
+const DATA_FILES = ["registrations.json", "preferences.json"].map((file) =>
+  dataPath(file)
+);
+const saved = DATA_FILES.map((file) =>
+  fs.existsSync(file) ? fs.readFileSync(file) : null
+);
+test.beforeEach(() => {
+  for (const file of DATA_FILES) fs.rmSync(file, { force: true });
+});
+test.after(() => {
+  DATA_FILES.forEach((file, i) => {
+    if (saved[i]) fs.writeFileSync(file, saved[i]);
+    else fs.rmSync(file, { force: true });
+  });
+});
+
+// A holder wallet: its base58 address and a signer for messages
+function wallet() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+  // The raw key is the last 32 bytes of the SPKI encoding
+  const raw = publicKey.export({ format: "der", type: "spki" }).subarray(-32);
+  return {
+    address: bs58.default.encode(raw),
+    sign: (message) =>
+      bs58.default.encode(
+        crypto.sign(null, Buffer.from(message, "utf-8"), privateKey)
+      ),
+  };
+}
+
+function registration(
+  holder,
+  {
+    action = "redirect",
+    value = "",
+    nonce = "1",
+    expires = NOW + HOUR,
+    mint = MINT_ADDRESS.toBase58(),
+    signer = holder,
+  } = {}
+) {
+  const message = [
+    "DRT registration",
+    `Mint: ${mint}`,
+    `Wallet: ${holder.address}`,
+    `Action: ${action}`,
+    `Value: ${value}`,
+    `Nonce: ${nonce}`,
+    `Expires: ${new Date(expires).toISOString()}`,
+  ].join("\n");
+  return { message, signature: signer.sign(message) };
+}
+
+test("a valid redirect is stored and used for payouts", () => {
+  const holder = wallet();
+  const target = wallet();
+  const submission = submitRegistration(
+    registration(holder, { value: target.address }),
+    NOW
+  );
+  assert.equal(submission.wallet, holder.address);
+  assert.equal(submission.value, target.address);
+
+  const snapshot = attachRedirects({ holders: [{ address: holder.address }] });
+  assert.equal(payoutAddress(snapshot, holder.address), target.address);
+});
+
+test("a valid preference is stored", () => {
+  const holder = wallet();
+  submitRegistration(
+    registration(holder, { action: "preference", value: OUTPUT_MINTS[0] }),
+    NOW
+  );
+  assert.equal(getPreference(holder.address), OUTPUT_MINTS[0]);
+});
+
+test("a signature by another key is rejected", () => {
+  const holder = wallet();
+  assert.throws(
+    () =>
+      submitRegistration(
+        registration(holder, { value: wallet().address, signer: wallet() }),
+        NOW
+      ),
+    /Signature does not match wallet/
+  );
+});
+
+test("a message changed after signing is rejected", () => {
+  const holder = wallet();
+  const signed = registration(holder, { value: wallet().address });
+  const message = signed.message.replace(/Nonce: 1/, "Nonce: 2");
+  assert.throws(
+    () => submitRegistration({ ...signed, message }, NOW),
+    /Signature does not match wallet/
+  );
+});
+
+test("expired messages and expiries past the maximum lifetime are rejected", () => {
+  const holder = wallet();
+  const value = wallet().address;
+  assert.throws(
+    () =>
+      submitRegistration(registration(holder, { value, expires: NOW }), NOW),
+    /has expired/
+  );
+  assert.throws(
+    () =>
+      submitRegistration(
+        registration(holder, {
+          value,
+          expires: NOW + REGISTRATIONS.maxLifetimeMs + 1,
+        }),
+        NOW
+      ),
+    /too far in the future/
+  );
+});
+
+test("a nonce cannot be used twice by the same wallet", () => {
+  const holder = wallet();
+  const signed = registration(holder, { value: wallet().address });
+  submitRegistration(signed, NOW);
+  assert.throws(
+    () => submitRegistration(signed, NOW + 1000),
+    /Nonce 1 was already used/
+  );
+
+  // Another wallet has nonces of its own
+  const other = wallet();
+  submitRegistration(registration(other, { value: wallet().address }), NOW);
+});
+
+test("a message for another mint is rejected", () => {
+  const holder = wallet();
+  assert.throws(
+    () =>
+      submitRegistration(
+        registration(holder, {
+          value: wallet().address,
+          mint: OUTPUT_MINTS[0],
+        }),
+        NOW
+      ),
+    /is for mint/
+  );
+});
+
+test("a rejected change does not use up its nonce", () => {
+  const holder = wallet();
+  assert.throws(
+    () =>
+      submitRegistration(
+        registration(holder, { action: "preference", value: holder.address }),
+        NOW
+      ),
+    /not one of the configured OUTPUT_MINTS/
+  );
+  submitRegistration(
+    registration(holder, { action: "preference", value: OUTPUT_MINTS[0] }),
+    NOW
+  );
+});
@@ -0,0 +1,196 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+// Nothing here may reach a real node
+process.env.DRT_RPC_URL = "http://127.0.0.1:1";
+const {
+  getQuotes,
+  rankQuotes,
+  getRouter,
+} = require("../src/services/swapRouters");
+
+const DRT = "FjFccmB1ZBUVB13s12koLPseRi9ZSzNj9daJStCVXM25";
+const USDC = "EPjFWJd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
+
+// A stand-in quote API answering every request with `respond(url)`, which
+// returns { status, body }
+async function standIn(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const { status = 200, body } = respond(req.url);
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+const jupiterQuote = (outAmount, hops) => ({
+  body: {
+    inAmount: "1000000",
+    outAmount,
+    otherAmountThreshold: outAmount,
+    priceImpactPct: "0.001",
+    routePlan: Array.from({ length: hops }, (_, i) => ({
+      swapInfo: { label: `pool${i}` },
+    })),
+  },
+});
+
+const raydiumQuote = (outputAmount, hops) => ({
+  body: {
+    success: true,
+    data: {
+      inputAmount: "1000000",
+      outputAmount,
+      otherAmountThreshold: outputAmount,
+      priceImpactPct: 0.1,
+      routePlan: Array.from({ length: hops }, (_, i) => ({ poolId: `p${i}` })),
+    },
+  },
+});
+
+function routerConfig(jupiter, raydium, overrides = {}) {
+  return {
+    routers: ["jupiter", "raydium"],
+    jupiter: { baseUrl: jupiter.baseUrl },
+    raydium: { baseUrl: raydium.baseUrl },
+    retries: 1,
+    computeUnitsPerHop: 150_000,
+    retryDelayMs: 0,
+    timeoutMs: 2000,
+    ...overrides,
+  };
+}
+
+// 1,000,000 µLamports per compute unit: 155,000 lamports for a one-hop route
+const feeTerms = async () => ({
+  microLamports: 1_000_000,
+  outputPerLamport: 1,
+});
+
+test("quotes are ranked by output after the cost of sending them", async (t) => {
+  // Jupiter quotes more, but its three hops cost more than the difference
+  const jupiter = await standIn(() => jupiterQuote("1000000", 3));
+  const raydium = await standIn(() => raydiumQuote("900000", 1));
+  t.after(() => Promise.all([jupiter.close(), raydium.close()]));
+
+  const { quotes, failures } = await getQuotes(
+    DRT,
+    USDC,
+    1000000n,
+    routerConfig(jupiter, raydium),
+    feeTerms
+  );
+  assert.deepEqual(failures, []);
+  assert.deepEqual(
+    quotes.map((q) => [q.router, q.feeLamports, q.netOutAmount]),
+    [
+      ["raydium", 155000, "745000"],
+      ["jupiter", 455000, "545000"],
+    ]
+  );
+  assert.match(jupiter.requests[0], /^\/quote\?inputMint=/);
+  assert.match(raydium.requests[0], /^\/compute\/swap-base-in\?/);
+});
+
+test("without fee terms quotes are ranked by output alone", async (t) => {
+  const jupiter = await standIn(() => jupiterQuote("1000000", 3));
+  const raydium = await standIn(() => raydiumQuote("900000", 1));
+  t.after(() => Promise.all([jupiter.close(), raydium.close()]));
+
+  const { quotes } = await getQuotes(
+    DRT,
+    USDC,
+    1000000n,
+    routerConfig(jupiter, raydium),
+    async () => {
+      throw new Error("no price");
+    }
+  );
+  assert.deepEqual(
+    quotes.map((q) => [q.router, q.netOutAmount]),
+    [
+      ["jupiter", "1000000"],
+      ["raydium", "900000"],
+    ]
+  );
+});
+
+test("a router that fails falls back to the others", async (t) => {
+  const jupiter = await standIn(() => ({
+    status: 500,
+    body: { error: "down" },
+  }));
+  const raydium = await standIn(() => raydiumQuote("900000", 2));
+  t.after(() => Promise.all([jupiter.close(), raydium.close()]));
+
+  const { quotes, failures } = await getQuotes(
+    DRT,
+    USDC,
+    1000000n,
+    routerConfig(jupiter, raydium, { retries: 2 }),
+    feeTerms
+  );
+  assert.deepEqual(
+    quotes.map((q) => q.router),
+    ["raydium"]
+  );
+  assert.equal(failures.length, 1);
+  assert.equal(failures[0].router, "jupiter");
+  assert.match(failures[0].error, /status: 500/);
+  // Retried before giving up
+  assert.equal(jupiter.requests.length, 2);
+});
+
+test("a router without a route is reported, not ranked", async (t) => {
+  const jupiter = await standIn(() => jupiterQuote("800000", 1));
+  const raydium = await standIn(() => ({
+    body: { success: false, msg: "ROUTE_NOT_FOUND" },
+  }));
+  t.after(() => Promise.all([jupiter.close(), raydium.close()]));
+
+  const { quotes, failures } = await getQuotes(
+    DRT,
+    USDC,
+    1000000n,
+    routerConfig(jupiter, raydium),
+    feeTerms
+  );
+  assert.deepEqual(
+    quotes.map((q) => q.router),
+    ["jupiter"]
+  );
+  assert.deepEqual(failures, [
+    { router: "raydium", error: "No quote: ROUTE_NOT_FOUND" },
+  ]);
+});
+
+test("fees are valued in the output token", () => {
+  const quotes = rankQuotes(
+    [
+      { router: "a", outAmount: "1000", route: ["x"] },
+      { router: "b", outAmount: "1100", route: ["x", "y"] },
+    ],
+    // 0.001 output units per lamport
+    { microLamports: 1_000_000, outputPerLamport: 0.001 },
+    { computeUnitsPerHop: 150_000 }
+  );
+  assert.deepEqual(
+    quotes.map((q) => [q.router, q.netOutAmount]),
+    [
+      ["a", "845"],
+      ["b", "795"],
+    ]
+  );
+});
+
+test("unknown routers are refused", () => {
+  assert.throws(() => getRouter("orca"), /Unknown swap router "orca"/);
+});